@@ -55,7 +55,7 @@ const TOOLS = [
     },
     {
         name: "connect_chromecast",
-        description: "Connect to a specific Chromecast device",
+        description: "Connect to a specific Chromecast device; devices already connected keep playing",
         inputSchema: {
             type: "object",
             properties: {
@@ -66,8 +66,37 @@ const TOOLS = [
     },
     {
         name: "get_chromecast_status",
-        description: "Get current Chromecast connection and playback status",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        description: "Get connection and playback status of every connected Chromecast session",
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Show this device at the top level instead of the default one" }
+            },
+            required: []
+        }
+    },
+    {
+        name: "resume_session",
+        description: "Reconnect a Chromecast and rebuild its saved queue at the saved track and position",
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device to resume on: its own saved queue, or else the most recently saved one (default: the device that queue was saved from)" }
+            },
+            required: []
+        }
+    },
+    {
+        name: "transfer_playback",
+        description: "Move a queue to another Chromecast at the same track and position, keeping volume and repeat mode, and stop the source device",
+        inputSchema: {
+            type: "object",
+            properties: {
+                target_device: { type: "string", description: "Name of the Chromecast device to move playback to" },
+                device_name: { type: "string", description: "Device to move playback from (default: the most recently connected device)" }
+            },
+            required: ["target_device"]
+        }
     },
     
     // Music Library & Search
@@ -79,10 +108,30 @@ const TOOLS = [
             properties: {
                 query: { type: "string", description: "Search query for artist, title, album, or any text" },
                 type: { type: "string", description: "Search type: 'basic', 'exact', 'fuzzy'", enum: ["basic", "exact", "fuzzy"], default: "basic" },
-                limit: { type: "number", description: "Maximum number of results (1-50)", minimum: 1, maximum: 50, default: 10 },
-                random: { type: "boolean", description: "Return random results", default: false }
+                limit: { type: "integer", description: "Maximum number of results per page (1-100)", minimum: 1, maximum: 100, default: 10 },
+                offset: { type: "integer", description: "Number of results to skip", minimum: 0, default: 0 },
+                cursor: { type: "string", description: "next_cursor from a previous response; pass it with the same search to get the next page when has_more is true" },
+                phonetic: { type: "boolean", description: "Match words that sound alike, for spoken or misspelled names (e.g. 'Lou Reid', 'Bjork')", default: false },
+                random: { type: "boolean", description: "Return random results", default: false },
+                filter: {
+                    type: "object",
+                    description: "Structured filters combined with AND, e.g. 70s rock over 5 minutes: {genre: 'rock', year_min: 1970, year_max: 1979, duration_min: 300}. Query is optional when a filter is given",
+                    properties: {
+                        artist: { type: "string", description: "Artist name contains" },
+                        album: { type: "string", description: "Album name contains" },
+                        genre: { type: "string", description: "Genre contains" },
+                        year_min: { type: "integer", description: "Earliest release year" },
+                        year_max: { type: "integer", description: "Latest release year" },
+                        duration_min: { type: "number", description: "Minimum duration in seconds" },
+                        duration_max: { type: "number", description: "Maximum duration in seconds" },
+                        min_rating: { type: "integer", description: "Minimum rating (0-5)", minimum: 0, maximum: 5 },
+                        favorite: { type: "boolean", description: "Only favorites (true) or non-favorites (false)" },
+                        mood: { type: "string", description: "Mood" },
+                        played_since: { type: "string", description: "Only tracks played since this ISO date" }
+                    }
+                }
             },
-            required: ["query"]
+            required: []
         }
     },
     {
@@ -90,6 +139,120 @@ const TOOLS = [
         description: "Get comprehensive statistics about the music library",
         inputSchema: { type: "object", properties: {}, required: [] }
     },
+
+    // Library Browsing
+    {
+        name: "list_artists",
+        description: "List album artists with album and track counts",
+        inputSchema: {
+            type: "object",
+            properties: {
+                query: { type: "string", description: "Only artists whose name contains this text" },
+                genre: { type: "string", description: "Only artists with tracks in this genre" },
+                limit: { type: "integer", description: "Maximum number of artists", default: 50, minimum: 1, maximum: 100 },
+                offset: { type: "integer", description: "Number of artists to skip", default: 0, minimum: 0 }
+            },
+            required: []
+        }
+    },
+    {
+        name: "list_albums",
+        description: "List albums grouped by album artist, with year, track count and total duration",
+        inputSchema: {
+            type: "object",
+            properties: {
+                artist: { type: "string", description: "Album artist name (partial match)" },
+                genre: { type: "string", description: "Only albums with tracks in this genre" },
+                year: { type: "integer", description: "Release year" },
+                query: { type: "string", description: "Album title (partial match)" },
+                limit: { type: "integer", description: "Maximum number of albums", default: 50, minimum: 1, maximum: 100 },
+                offset: { type: "integer", description: "Number of albums to skip", default: 0, minimum: 0 }
+            },
+            required: []
+        }
+    },
+    {
+        name: "get_album",
+        description: "Get an album with its tracks in track order, total duration and year",
+        inputSchema: {
+            type: "object",
+            properties: {
+                album: { type: "string", description: "Album title" },
+                artist: { type: "string", description: "Album artist, needed when several albums share the title" }
+            },
+            required: ["album"]
+        }
+    },
+
+    // Ratings & Favorites
+    {
+        name: "rate_track",
+        description: "Rate a track from 0 (unrated) to 5 stars; rates the currently playing track when track_id is omitted",
+        inputSchema: {
+            type: "object",
+            properties: {
+                track_id: { type: "integer", description: "Track ID (defaults to the current track)", minimum: 1 },
+                rating: { type: "integer", description: "Stars, 0 clears the rating", minimum: 0, maximum: 5 }
+            },
+            required: ["rating"]
+        }
+    },
+    {
+        name: "favorite_track",
+        description: "Mark or unmark a track as a favorite; uses the currently playing track when track_id is omitted",
+        inputSchema: {
+            type: "object",
+            properties: {
+                track_id: { type: "integer", description: "Track ID (defaults to the current track)", minimum: 1 },
+                favorite: { type: "boolean", description: "false removes the track from favorites", default: true }
+            },
+            required: []
+        }
+    },
+
+    // Listening History
+    {
+        name: "get_recently_played",
+        description: "List recently played tracks, newest first, with device, time and listened duration",
+        inputSchema: {
+            type: "object",
+            properties: {
+                limit: { type: "integer", description: "Maximum number of plays", default: 20, minimum: 1, maximum: 100 },
+                days: { type: "integer", description: "Only plays from the last N days", minimum: 1 },
+                since: { type: "string", description: "Only plays on or after this ISO date" },
+                until: { type: "string", description: "Only plays before this ISO date" }
+            },
+            required: []
+        }
+    },
+    {
+        name: "get_most_played",
+        description: "Rank the most played tracks, artists, albums or genres, optionally within a time window",
+        inputSchema: {
+            type: "object",
+            properties: {
+                group_by: { type: "string", enum: ["track", "artist", "album", "genre"], default: "track" },
+                limit: { type: "integer", description: "Maximum number of results", default: 10, minimum: 1, maximum: 100 },
+                days: { type: "integer", description: "Only plays from the last N days", minimum: 1 },
+                since: { type: "string", description: "Only plays on or after this ISO date" },
+                until: { type: "string", description: "Only plays before this ISO date" }
+            },
+            required: []
+        }
+    },
+    {
+        name: "get_listening_stats",
+        description: "Get listening statistics: total plays and hours, hours per day and top genres per month",
+        inputSchema: {
+            type: "object",
+            properties: {
+                days: { type: "integer", description: "Only plays from the last N days", minimum: 1 },
+                since: { type: "string", description: "Only plays on or after this ISO date" },
+                until: { type: "string", description: "Only plays before this ISO date" }
+            },
+            required: []
+        }
+    },
     
     // Single Track Playback
     {
@@ -118,11 +281,41 @@ const TOOLS = [
                     description: "Array of track IDs to play",
                     minItems: 1
                 },
-                device_name: { type: "string", description: "Chromecast device name" },
+                device_name: { type: "string", description: "Chromecast device name (optional if already connected)" },
                 shuffle: { type: "boolean", description: "Shuffle the tracks", default: false },
                 start_index: { type: "integer", description: "Index of track to start with (0-based)", minimum: 0, default: 0 }
             },
-            required: ["tracks", "device_name"]
+            required: ["tracks"]
+        }
+    },
+    {
+        name: "play_playlist",
+        description: "Play a saved playlist on a Chromecast device, in playlist order or shuffled, optionally appending it to the current queue",
+        inputSchema: {
+            type: "object",
+            properties: {
+                playlist_id: { type: "integer", description: "ID of the playlist to play (see manage_playlist list)", minimum: 1 },
+                device_name: { type: "string", description: "Chromecast device name (optional if already connected)" },
+                shuffle: { type: "boolean", description: "Shuffle the playlist; the start track still plays first", default: false },
+                start_position: { type: "integer", description: "Playlist position to start from (1-based)", minimum: 1, default: 1 },
+                append: { type: "boolean", description: "Add to the end of the current queue instead of replacing it", default: false }
+            },
+            required: ["playlist_id"]
+        }
+    },
+    {
+        name: "play_album",
+        description: "Play a whole album on a Chromecast device in track order, optionally appending it to the current queue",
+        inputSchema: {
+            type: "object",
+            properties: {
+                album: { type: "string", description: "Album title (see list_albums)" },
+                artist: { type: "string", description: "Album artist, needed when several albums share the title" },
+                device_name: { type: "string", description: "Chromecast device name (optional if already connected)" },
+                start_track: { type: "integer", description: "Album track to start from (1-based)", minimum: 1, default: 1 },
+                append: { type: "boolean", description: "Add to the end of the current queue instead of replacing it", default: false }
+            },
+            required: ["album"]
         }
     },
     
@@ -130,27 +323,57 @@ const TOOLS = [
     {
         name: "pause_playback",
         description: "Pause current playback on the connected Chromecast",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     {
         name: "resume_playback",
         description: "Resume paused playback on the connected Chromecast",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     {
         name: "stop_playback",
         description: "Stop current playback on the connected Chromecast",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     {
         name: "skip_to_next",
         description: "Skip to the next track in the queue", 
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     {
         name: "skip_to_previous",
         description: "Skip to the previous track in the queue",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     {
         name: "skip_to_track",
@@ -158,7 +381,8 @@ const TOOLS = [
         inputSchema: {
             type: "object",
             properties: {
-                track_number: { type: "integer", description: "Track number in the queue (1-based)", minimum: 1 }
+                track_number: { type: "integer", description: "Track number in the queue (1-based)", minimum: 1 },
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
             },
             required: ["track_number"]
         }
@@ -169,7 +393,8 @@ const TOOLS = [
         inputSchema: {
             type: "object",
             properties: {
-                position: { type: "number", description: "Position in seconds", minimum: 0 }
+                position: { type: "number", description: "Position in seconds", minimum: 0 },
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
             },
             required: ["position"]
         }
@@ -182,7 +407,8 @@ const TOOLS = [
         inputSchema: {
             type: "object",
             properties: {
-                volume: { type: "number", description: "Volume level (0.0 to 1.0)", minimum: 0, maximum: 1 }
+                volume: { type: "number", description: "Volume level (0.0 to 1.0)", minimum: 0, maximum: 1 },
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
             },
             required: ["volume"]
         }
@@ -191,26 +417,28 @@ const TOOLS = [
     // Queue Management
     {
         name: "manage_queue",
-        description: "Manage the playback queue (add, remove, clear, shuffle, etc.)",
+        description: "Manage the playback queue (add, play next, insert, move, remove, clear, shuffle, etc.)",
         inputSchema: {
             type: "object",
             properties: {
                 action: { 
                     type: "string", 
                     description: "Queue action to perform",
-                    enum: ["add", "remove", "clear", "shuffle", "restore", "repeat", "info"]
+                    enum: ["add", "play_next", "insert_at", "move", "remove", "clear", "shuffle", "restore", "repeat", "info"]
                 },
                 trackIds: { 
                     type: "array", 
                     items: { type: "integer" },
-                    description: "Track IDs for add operation"
+                    description: "Track IDs for add, play_next and insert_at operations"
                 },
-                index: { type: "integer", description: "Index for remove operation", minimum: 0 },
+                index: { type: "integer", description: "Queue index (0-based) for remove, insert_at, or the track to move", minimum: 0 },
+                to_index: { type: "integer", description: "Target queue index (0-based) for move", minimum: 0 },
                 mode: { 
                     type: "string", 
                     description: "Repeat mode for repeat action",
                     enum: ["none", "one", "all"]
-                }
+                },
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
             },
             required: ["action"]
         }
@@ -220,24 +448,59 @@ const TOOLS = [
     {
         name: "get_playlist_status",
         description: "Get current playback status, queue information, and now playing details",
-        inputSchema: { type: "object", properties: {}, required: [] }
+        inputSchema: {
+            type: "object",
+            properties: {
+                device_name: { type: "string", description: "Device session to control (default: the most recently connected device)" }
+            },
+            required: []
+        }
     },
     
     // Playlist Management
     {
         name: "manage_playlist",
-        description: "Create, list, or manage saved playlists",
+        description: "Create, list, or manage saved playlists, including rule-based smart playlists: view tracks, add/remove/reorder tracks, rename, duplicate, delete, or import/export M3U, PLS and XSPF files (use play_playlist to play one)",
         inputSchema: {
             type: "object",
             properties: {
                 action: { 
                     type: "string", 
                     description: "Playlist action to perform",
-                    enum: ["create", "list", "delete", "load"]
+                    enum: ["create", "list", "get", "add_tracks", "remove_tracks", "move", "rename", "delete", "duplicate", "set_rules", "import", "export"]
                 },
                 playlist_id: { type: "integer", description: "Playlist ID for specific operations" },
-                name: { type: "string", description: "Playlist name for create operation" },
-                description: { type: "string", description: "Playlist description for create operation" }
+                name: { type: "string", description: "Playlist name for create and rename (optional for duplicate)" },
+                description: { type: "string", description: "Playlist description for create or rename" },
+                rules: {
+                    type: "object",
+                    description: "Smart playlist rules for create or set_rules, re-evaluated each time the playlist is listed or played. Example: {match: 'all', conditions: [{field: 'genre', op: '=', value: 'Jazz'}, {field: 'rating', op: '>=', value: 4}, {field: 'last_played', op: 'older_than_days', value: 30}], sort: 'random', limit: 50}",
+                    properties: {
+                        match: { type: "string", enum: ["all", "any"], description: "AND (all) or OR (any) between conditions", default: "all" },
+                        conditions: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                properties: {
+                                    field: { type: "string", enum: ["title", "artist", "album", "genre", "composer", "mood", "year", "duration", "rating", "favorite", "play_count", "energy_level", "tempo", "last_played", "added"] },
+                                    op: { type: "string", description: "Text: =, !=, contains, not_contains, starts_with. Numbers: =, !=, >, >=, <, <=, between. Dates (last_played, added): within_days, older_than_days, before, after, never" },
+                                    value: { description: "Text, number, [min, max] for between, number of days, or ISO date" }
+                                },
+                                required: ["field", "op"]
+                            }
+                        },
+                        sort: { type: "string", description: "'random' or a field name" },
+                        order: { type: "string", enum: ["asc", "desc"] },
+                        limit: { type: "integer", minimum: 1, maximum: 1000 }
+                    }
+                },
+                track_ids: { type: "array", items: { type: "integer" }, description: "Track IDs to add or remove" },
+                track_id: { type: "integer", description: "Track ID to move" },
+                position: { type: "integer", minimum: 1, description: "Target position starting at 1 for move, or where add_tracks inserts (default end)" },
+                file_path: { type: "string", description: "Playlist file to import, or where to write the export (omit to get the content back)" },
+                content: { type: "string", description: "Playlist file content to import, instead of file_path" },
+                format: { type: "string", enum: ["m3u", "m3u8", "pls", "xspf"], description: "Playlist file format (auto-detected on import, m3u8 by default on export)" },
+                locations: { type: "string", enum: ["path", "stream"], description: "Export entries as local file paths or as streaming URLs", default: "path" }
             },
             required: ["action"]
         }
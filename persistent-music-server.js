@@ -118,7 +118,9 @@ class PersistentMusicServer {
                           toolName === 'resume_playback' ||
                           toolName === 'stop_playback' ||
                           toolName === 'seek_to_position' ||
-                          toolName === 'manage_queue') {
+                          toolName === 'manage_queue' ||
+                          toolName === 'resume_session' ||
+                          toolName === 'transfer_playback') {
                     const result = await this.app.controllers.chromecast[this.mapToolToMethod(toolName)](args);
                     return {
                         jsonrpc: "2.0",
@@ -134,6 +136,14 @@ class PersistentMusicServer {
                           toolName.includes('library') || 
                           toolName.includes('playlist') ||
                           toolName === 'get_library_stats' ||
+                          toolName === 'get_recently_played' ||
+                          toolName === 'get_most_played' ||
+                          toolName === 'get_listening_stats' ||
+                          toolName === 'list_artists' ||
+                          toolName === 'list_albums' ||
+                          toolName === 'get_album' ||
+                          toolName === 'rate_track' ||
+                          toolName === 'favorite_track' ||
                           toolName === 'manage_playlist') {
                     const result = await this.app.controllers.music[this.mapToolToMethod(toolName)](args);
                     return {
@@ -190,11 +200,15 @@ class PersistentMusicServer {
         const mapping = {
             // Chromecast Control Tools
             'play_multiple_tracks': 'playMultipleTracks',
+            'play_playlist': 'playPlaylist',
+            'play_album': 'playAlbum',
             'play_track': 'playTrack',
             'list_chromecasts': 'listChromecast',
             'connect_chromecast': 'connectChromecast',
             'get_chromecast_status': 'getChromecastStatus',
             'get_playlist_status': 'getChromecastStatus',
+            'resume_session': 'resumeSession',
+            'transfer_playback': 'transferPlayback',
             
             // Playback Control Tools
             'pause_playback': 'pausePlayback',
@@ -214,6 +228,14 @@ class PersistentMusicServer {
             // Music Library Tools
             'search_music': 'searchMusic',
             'get_library_stats': 'getLibraryStats',
+            'get_recently_played': 'getRecentlyPlayed',
+            'get_most_played': 'getMostPlayed',
+            'get_listening_stats': 'getListeningStats',
+            'list_artists': 'listArtists',
+            'list_albums': 'listAlbums',
+            'get_album': 'getAlbum',
+            'rate_track': 'rateTrack',
+            'favorite_track': 'favoriteTrack',
             'manage_playlist': 'managePlaylist'
         };
         return mapping[toolName] || toolName;
@@ -247,9 +269,15 @@ class PersistentMusicServer {
         this.isRunning = false;
         
         try {
+            if (this.app?.services?.libraryWatcher) {
+                this.app.services.libraryWatcher.stop();
+            }
             if (this.app?.services?.chromecast) {
                 await this.app.services.chromecast.disconnect();
             }
+            if (this.app?.services?.playHistory) {
+                this.app.services.playHistory.finishAll();
+            }
             if (this.app?.services?.streaming) {
                 await this.app.services.streaming.stop();
             }
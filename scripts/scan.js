@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Library Scan Script
+ *
+ * Scans the configured music directories (or the directories passed as
+ * arguments) and populates the tracks table of the music library database.
+ * Runs incrementally by default: only new or modified files are re-tagged and
+ * tracks whose file has vanished are removed. Use --full to re-read every file.
+ *
+ * Usage:
+ *   npm run scan
+ *   npm run scan -- --full
+ *   node scripts/scan.js "D:/Music" "E:/Musiques"
+ *
+ */
+
+const Config = require('../src/config');
+const Logger = require('../src/utils/logger');
+const DatabaseService = require('../src/services/DatabaseService');
+const LibraryScanner = require('../src/services/LibraryScanner');
+
+async function main() {
+    const config = new Config();
+    const logger = new Logger({ level: config.getLogLevel(), context: 'Scan' });
+
+    const database = new DatabaseService(config, logger.child('Database'));
+    const scanner = new LibraryScanner(config, database, logger.child('Scanner'));
+
+    const args = process.argv.slice(2);
+    const full = args.includes('--full');
+    const directories = args.filter(arg => !arg.startsWith('--'));
+
+    try {
+        const summary = await scanner.scan({
+            directories: directories.length > 0 ? directories : null,
+            incremental: !full,
+            prune: true
+        });
+
+        console.error(`✅ Scan complete (${summary.mode}): ${summary.scanned} files scanned, ${summary.added} added, ${summary.updated} updated, ${summary.unchanged} unchanged, ${summary.removed} removed, ${summary.failed} failed`);
+        console.error(`🎵 Library now contains ${database.getTracksCount()} tracks`);
+    } finally {
+        database.close();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌ Library scan failed:', error.message);
+    process.exit(1);
+});
@@ -52,6 +52,26 @@ class Config {
             busyTimeout: process.env.DB_BUSY_TIMEOUT || 1000
         };
 
+        this.library = {
+            audioExtensions: ['.mp3', '.flac', '.wav', '.aac', '.m4a', '.ogg', '.wma'],
+            scanBatchSize: parseInt(process.env.LIBRARY_SCAN_BATCH_SIZE) || 200,
+            watch: process.env.LIBRARY_WATCH !== 'false',
+            watchDebounce: parseInt(process.env.LIBRARY_WATCH_DEBOUNCE) || 2000
+        };
+
+        this.search = {
+            fuzzyThreshold: parseFloat(process.env.SEARCH_FUZZY_THRESHOLD) || 0.85
+        };
+
+        this.transcoding = {
+            ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg',
+            cacheMaxMb: parseInt(process.env.TRANSCODE_CACHE_MB) || 2048
+        };
+
+        this.albumArt = {
+            size: parseInt(process.env.ALBUM_ART_SIZE) || 600
+        };
+
         this.logging = {
             level: process.env.LOG_LEVEL || (env === 'development' ? 'debug' : 'info'),
             enableConsole: process.env.ENABLE_CONSOLE_LOG !== 'false',
@@ -72,6 +92,10 @@ class Config {
         return this.musicDirectories;
     }
 
+    getAudioExtensions() {
+        return this.library.audioExtensions;
+    }
+
     getHttpPort() {
         return this.server.port;
     }
@@ -3,15 +3,20 @@
  * Handles all Chromecast-related MCP tool calls
  */
 
-const { ChromecastError, ServiceUnavailableError, ValidationError } = require('../utils/errors');
+const { ChromecastError, ServiceUnavailableError, ValidationError, NotFoundError } = require('../utils/errors');
 const Validator = require('../utils/validator');
 
+// Placeholders DatabaseService fills in for missing tags; receivers should show nothing instead
+const MISSING_TAG_VALUES = new Set(['Unknown Album', 'Unknown Artist', 'Unknown Composer']);
+
 class ChromecastController {
-    constructor(chromecastService, databaseService, config, logger) {
+    constructor(chromecastService, databaseService, config, logger, services = {}) {
         this.chromecast = chromecastService;
         this.database = databaseService;
         this.config = config;
         this.logger = logger;
+        this.transcoder = services.transcoder || null;
+        this.albumArt = services.albumArt || null;
     }
 
     async listChromecast() {
@@ -85,32 +90,22 @@ class ChromecastController {
             // Get track from database
             const track = this.database.getTrackById(track_id);
 
-            // Connect to device if specified or if current device differs
-            if (device_name && (!this.chromecast.currentDevice || this.chromecast.currentDevice.name !== device_name)) {
-                await this.chromecast.connectToDevice(device_name);
-            }
-
-            // Ensure we have a connected device
-            if (!this.chromecast.currentDevice) {
+            // Use the device's session (connecting it if needed) or the default session
+            const session = await this._playbackSession(device_name);
+            if (!session) {
                 return { status: 'error', message: 'No Chromecast device connected' };
             }
 
-            // Build streaming URL
-            const streamingUrl = this._buildStreamingUrl(track);
-            
-            // Determine content type
-            const contentType = this._getContentType(track.filepath);
+            // Build streaming URL, content type and Cast metadata
+            const item = this._buildQueueItem(track, session);
 
             // Play the track
-            const success = await this.chromecast.playMedia(
-                streamingUrl,
-                contentType,
-                track.title || 'Unknown Track'
-            );
+            const success = await session.playMedia(item.url, item.contentType, item);
 
             return {
                 status: success ? 'success' : 'error',
                 message: success ? `Playing: ${track.title}` : 'Failed to play track',
+                device_name: session.device.name,
                 track: {
                     id: track.id,
                     title: track.title,
@@ -136,21 +131,19 @@ class ChromecastController {
                 return { status: 'error', message: 'Chromecast service not available' };
             }
 
-            const { volume } = params;
+            const { volume, device_name } = params;
             Validator.isVolume(volume);
 
-            this.logger.debug('Set volume request', { volume });
-
-            if (!this.chromecast.currentDevice) {
-                return { status: 'error', message: 'No Chromecast device connected' };
-            }
+            this.logger.debug('Set volume request', { volume, device_name });
 
-            const success = await this.chromecast.setVolume(volume);
+            const session = this.chromecast.getSession(device_name);
+            const success = await session.setVolume(volume);
 
             return {
                 status: success ? 'success' : 'error',
                 message: success ? `Volume set to ${Math.round(volume * 100)}%` : 'Failed to set volume',
-                volume: volume
+                volume: volume,
+                device_name: session.device.name
             };
 
         } catch (error) {
@@ -164,19 +157,15 @@ class ChromecastController {
         }
     }
 
-    async skipToNext() {
+    async skipToNext(params = {}) {
         try {
             if (!this.chromecast.isAvailable) {
                 return { status: 'error', message: 'Chromecast service not available' };
             }
 
-            this.logger.debug('Skip to next request');
+            this.logger.debug('Skip to next request', { device_name: params.device_name });
 
-            if (!this.chromecast.currentDevice) {
-                return { status: 'error', message: 'No Chromecast device connected' };
-            }
-
-            const result = await this.chromecast.skipToNext();
+            const result = await this.chromecast.getSession(params.device_name).skipToNext();
             return result;
 
         } catch (error) {
@@ -190,11 +179,14 @@ class ChromecastController {
         }
     }
 
-    async getChromecastStatus() {
+    // Every active session, with the default (or the named) device's status at the top level
+    async getChromecastStatus(params = {}) {
         try {
-            this.logger.debug('Get Chromecast status request');
+            this.logger.debug('Get Chromecast status request', { device_name: params.device_name });
 
-            const status = this.chromecast.getStatus();
+            const status = params.device_name
+                ? { ...this.chromecast.getStatus(), ...this.chromecast.getSession(params.device_name).getStatus() }
+                : this.chromecast.getStatus();
 
             return {
                 status: 'success',
@@ -203,17 +195,22 @@ class ChromecastController {
 
         } catch (error) {
             this.logger.error('Get Chromecast status failed', { error: error.message });
+
+            if (error instanceof ChromecastError) {
+                return { status: 'error', message: error.message };
+            }
+
             return { status: 'error', message: 'Failed to get status' };
         }
     }
 
     // New Playback Control Methods
     
-    async pausePlayback() {
+    async pausePlayback(params = {}) {
         try {
-            this.logger.debug('Pause playback request');
+            this.logger.debug('Pause playback request', { device_name: params.device_name });
 
-            const result = await this.chromecast.pause();
+            const result = await this.chromecast.getSession(params.device_name).pause();
 
             return {
                 status: 'success',
@@ -226,11 +223,11 @@ class ChromecastController {
         }
     }
 
-    async resumePlayback() {
+    async resumePlayback(params = {}) {
         try {
-            this.logger.debug('Resume playback request');
+            this.logger.debug('Resume playback request', { device_name: params.device_name });
 
-            const result = await this.chromecast.resume();
+            const result = await this.chromecast.getSession(params.device_name).resume();
 
             return {
                 status: 'success',
@@ -243,11 +240,11 @@ class ChromecastController {
         }
     }
 
-    async stopPlayback() {
+    async stopPlayback(params = {}) {
         try {
-            this.logger.debug('Stop playback request');
+            this.logger.debug('Stop playback request', { device_name: params.device_name });
 
-            const result = await this.chromecast.stop();
+            const result = await this.chromecast.getSession(params.device_name).stop();
 
             return {
                 status: 'success',
@@ -260,11 +257,11 @@ class ChromecastController {
         }
     }
 
-    async skipToPrevious() {
+    async skipToPrevious(params = {}) {
         try {
-            this.logger.debug('Skip to previous request');
+            this.logger.debug('Skip to previous request', { device_name: params.device_name });
 
-            const result = await this.chromecast.skipToPrevious();
+            const result = await this.chromecast.getSession(params.device_name).skipToPrevious();
 
             return {
                 status: 'success',
@@ -278,7 +275,7 @@ class ChromecastController {
     }
 
     async skipToTrack(params) {
-        const { track_number } = params;
+        const { track_number, device_name } = params;
         
         if (typeof track_number !== 'number' || track_number < 1) {
             return { status: 'error', message: 'Invalid track number. Must be a positive integer starting from 1.' };
@@ -287,7 +284,7 @@ class ChromecastController {
         try {
             this.logger.debug('Skip to track request', { track_number });
 
-            const result = await this.chromecast.skipToTrack(track_number);
+            const result = await this.chromecast.getSession(device_name).skipToTrack(track_number);
 
             return {
                 status: 'success',
@@ -301,7 +298,7 @@ class ChromecastController {
     }
 
     async seekToPosition(params) {
-        const { position } = params;
+        const { position, device_name } = params;
         
         if (typeof position !== 'number' || position < 0) {
             return { status: 'error', message: 'Invalid position parameter' };
@@ -310,7 +307,7 @@ class ChromecastController {
         try {
             this.logger.debug('Seek to position request', { position });
 
-            const result = await this.chromecast.seek(position);
+            const result = await this.chromecast.getSession(device_name).seek(position);
 
             return {
                 status: 'success',
@@ -345,12 +342,9 @@ class ChromecastController {
                 startIndex 
             });
 
-            // Connect to device if specified or ensure a device is connected
-            if (device_name) {
-                if (!this.chromecast.currentDevice || this.chromecast.currentDevice.name !== device_name) {
-                    await this.chromecast.connectToDevice(device_name);
-                }
-            } else if (!this.chromecast.currentDevice) {
+            // Use the device's session (connecting it if needed) or the default session
+            const session = await this._playbackSession(device_name);
+            if (!session) {
                 return { status: 'error', message: 'No Chromecast device connected. Please specify device_name or connect first.' };
             }
 
@@ -368,15 +362,7 @@ class ChromecastController {
                 }
 
                 if (track) {
-                    processedTracks.push({
-                        id: track.id,
-                        title: track.title || 'Unknown Track',
-                        artist: track.artist || 'Unknown Artist',
-                        url: this._buildStreamingUrl(track),
-                        contentType: this._getContentType(track.filepath),
-                        duration: track.duration,
-                        trackId: track.id
-                    });
+                    processedTracks.push(this._buildQueueItem(track, session));
                 }
             }
 
@@ -392,20 +378,16 @@ class ChromecastController {
                     startIndex
                 });
 
-                // Create native queue with shorter timeout
-                const createResult = await Promise.race([
-                    this.chromecast.createQueue(processedTracks),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Native queue timeout')), 10000))
-                ]);
-
-                // Jump to start index if not 0
-                if (startIndex > 0 && startIndex < processedTracks.length) {
-                    await this.chromecast.jumpToItem(startIndex + 1);
-                }
+                // Create native queue, starting at the requested item. createQueue times out the load
+                // itself; an outer limit could fire after a slow load succeeded and replace a working queue
+                const createResult = await session.createQueue(processedTracks, {
+                    startIndex: startIndex > 0 && startIndex < processedTracks.length ? startIndex : 0
+                });
 
                 return {
                     status: 'success',
                     message: `Created native Cast queue with ${processedTracks.length} tracks`,
+                    device_name: session.device.name,
                     tracksAdded: processedTracks.length,
                     shuffle,
                     startIndex,
@@ -421,10 +403,10 @@ class ChromecastController {
                 // Fallback: Play first track using standard load method
                 const firstTrack = processedTracks[startIndex] || processedTracks[0];
                 
-                const playResult = await this.chromecast.playMedia(
+                const playResult = await session.playMedia(
                     firstTrack.url,
                     firstTrack.contentType,
-                    firstTrack.title
+                    firstTrack
                 );
 
                 return {
@@ -445,11 +427,171 @@ class ChromecastController {
         }
     }
 
+    async playPlaylist(params) {
+        try {
+            if (!this.chromecast.isAvailable) {
+                return { status: 'error', message: 'Chromecast service not available' };
+            }
+
+            const { playlist_id, shuffle = false, start_position = 1, append = false, device_name } = params;
+            Validator.isPositiveInteger(playlist_id, 'playlist_id');
+            Validator.isPositiveInteger(start_position, 'start_position');
+
+            this.logger.debug('Play playlist request', { playlist_id, shuffle, start_position, append, device_name });
+
+            const playlist = this.database.getPlaylist(playlist_id);
+            if (playlist.tracks.length === 0) {
+                return { status: 'error', message: `Playlist '${playlist.name}' is empty` };
+            }
+
+            if (start_position > playlist.tracks.length) {
+                return {
+                    status: 'error',
+                    message: `start_position ${start_position} is past the end of playlist '${playlist.name}' (${playlist.tracks.length} tracks)`
+                };
+            }
+
+            // Use the device's session (connecting it if needed) or the default session
+            const session = await this._playbackSession(device_name);
+            if (!session) {
+                return { status: 'error', message: 'No Chromecast device connected. Please specify device_name or connect first.' };
+            }
+
+            let items = this._buildQueueItems(playlist.tracks, session);
+            let startIndex = start_position - 1;
+
+            if (shuffle) {
+                // Keep the requested starting track first and shuffle the rest behind it
+                const [first] = items.splice(startIndex, 1);
+                items = [first, ...this._shuffle(items)];
+                startIndex = 0;
+            }
+
+            const playlistInfo = { id: playlist.id, name: playlist.name, trackCount: playlist.tracks.length };
+
+            if (append && session.queueItems.length > 0) {
+                const queued = items.slice(startIndex);
+                const result = await session.addToQueue(queued);
+
+                return {
+                    status: 'success',
+                    message: `Appended ${queued.length} track(s) from playlist '${playlist.name}' to the queue`,
+                    device_name: session.device.name,
+                    playlist: playlistInfo,
+                    tracksAdded: queued.length,
+                    queueSize: result.queueSize,
+                    shuffle,
+                    appended: true
+                };
+            }
+
+            const queueInfo = await session.createQueue(items, { startIndex });
+
+            return {
+                status: 'success',
+                message: `Playing playlist '${playlist.name}' (${items.length} tracks)`,
+                device_name: session.device.name,
+                playlist: playlistInfo,
+                tracksAdded: items.length,
+                startIndex,
+                currentTrack: { id: items[startIndex].id, title: items[startIndex].title, artist: items[startIndex].artist },
+                shuffle,
+                appended: false,
+                usingNativeQueue: true,
+                queueInfo
+            };
+
+        } catch (error) {
+            this.logger.error('Play playlist failed', { params, error: error.message });
+
+            if (error instanceof ChromecastError || error instanceof ValidationError || error instanceof NotFoundError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to play playlist' };
+        }
+    }
+
+    async playAlbum(params) {
+        try {
+            if (!this.chromecast.isAvailable) {
+                return { status: 'error', message: 'Chromecast service not available' };
+            }
+
+            const { album: albumName, artist = null, start_track = 1, append = false, device_name } = params;
+            Validator.isPositiveInteger(start_track, 'start_track');
+
+            this.logger.debug('Play album request', { album: albumName, artist, start_track, append, device_name });
+
+            const album = this.database.getAlbum(albumName, artist);
+
+            if (start_track > album.tracks.length) {
+                return {
+                    status: 'error',
+                    message: `start_track ${start_track} is past the end of '${album.album}' (${album.tracks.length} tracks)`
+                };
+            }
+
+            // Use the device's session (connecting it if needed) or the default session
+            const session = await this._playbackSession(device_name);
+            if (!session) {
+                return { status: 'error', message: 'No Chromecast device connected. Please specify device_name or connect first.' };
+            }
+
+            const items = this._buildQueueItems(album.tracks, session);
+            const startIndex = start_track - 1;
+            const albumInfo = { album: album.album, artist: album.artist, year: album.year, trackCount: album.track_count };
+
+            if (append && session.queueItems.length > 0) {
+                const queued = items.slice(startIndex);
+                const result = await session.addToQueue(queued);
+
+                return {
+                    status: 'success',
+                    message: `Appended ${queued.length} track(s) from '${album.album}' to the queue`,
+                    device_name: session.device.name,
+                    album: albumInfo,
+                    tracksAdded: queued.length,
+                    queueSize: result.queueSize,
+                    appended: true
+                };
+            }
+
+            const queueInfo = await session.createQueue(items, { startIndex });
+
+            return {
+                status: 'success',
+                message: `Playing '${album.album}' by ${album.artist} (${items.length} tracks)`,
+                device_name: session.device.name,
+                album: albumInfo,
+                tracksAdded: items.length,
+                startIndex,
+                currentTrack: { id: items[startIndex].id, title: items[startIndex].title, artist: items[startIndex].artist },
+                appended: false,
+                usingNativeQueue: true,
+                queueInfo
+            };
+
+        } catch (error) {
+            this.logger.error('Play album failed', { params, error: error.message });
+
+            if (error instanceof ChromecastError || error instanceof ValidationError || error instanceof NotFoundError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to play album' };
+        }
+    }
+
     async manageQueue(params) {
-        const { action, trackIds, index, mode } = params;
+        const { action, index, to_index, mode, device_name } = params;
+        // lm-studio.js names the list trackIds, the MCP server schema track_ids
+        const trackIds = params.trackIds || params.track_ids;
 
         try {
-            this.logger.debug('Manage queue request', { action, trackIds, index, mode });
+            this.logger.debug('Manage queue request', { action, trackIds, index, to_index, mode, device_name });
+
+            const session = this.chromecast.getSession(device_name);
 
             switch (action) {
                 case 'add':
@@ -457,47 +599,55 @@ class ChromecastController {
                         return { status: 'error', message: 'No track IDs provided for add operation' };
                     }
 
-                    const tracksToAdd = [];
-                    for (const trackId of trackIds) {
-                        const track = await this.database.getTrackById(trackId);
-                        if (track) {
-                            tracksToAdd.push({
-                                id: track.id,
-                                title: track.title || 'Unknown Track',
-                                artist: track.artist || 'Unknown Artist',
-                                url: this._buildStreamingUrl(track),
-                                contentType: this._getContentType(track.filepath),
-                                duration: track.duration,
-                                trackId: track.id
-                            });
-                        }
+                    return await session.addToQueue(this._buildQueueItems(trackIds, session));
+
+                case 'play_next': {
+                    if (!Array.isArray(trackIds) || trackIds.length === 0) {
+                        return { status: 'error', message: 'No track IDs provided for play_next operation' };
                     }
 
-                    return await this.chromecast.addToQueue(tracksToAdd);
+                    const currentIndex = session.queueItems.findIndex(item => item.itemId === session.currentItemId);
+                    return await session.addToQueue(this._buildQueueItems(trackIds, session), { insertAt: currentIndex + 1 });
+                }
+
+                case 'insert_at':
+                    if (!Array.isArray(trackIds) || trackIds.length === 0) {
+                        return { status: 'error', message: 'No track IDs provided for insert_at operation' };
+                    }
+                    if (typeof index !== 'number') {
+                        return { status: 'error', message: 'Index required for insert_at operation' };
+                    }
+                    return await session.addToQueue(this._buildQueueItems(trackIds, session), { insertAt: index });
+
+                case 'move':
+                    if (typeof index !== 'number' || typeof to_index !== 'number') {
+                        return { status: 'error', message: 'index and to_index required for move operation' };
+                    }
+                    return await session.moveQueueItem(index, to_index);
 
                 case 'remove':
                     if (typeof index !== 'number') {
                         return { status: 'error', message: 'Index required for remove operation' };
                     }
-                    return this.chromecast.removeFromQueue(index);
+                    return await session.removeFromQueue(index);
 
                 case 'clear':
-                    return this.chromecast.clearQueue();
+                    return await session.clearQueue();
 
                 case 'shuffle':
-                    return this.chromecast.shuffleQueue();
+                    return await session.shuffleQueue();
 
                 case 'restore':
-                    return this.chromecast.restoreQueueOrder();
+                    return await session.restoreQueueOrder();
 
                 case 'repeat':
                     if (!mode || !['none', 'one', 'all'].includes(mode)) {
                         return { status: 'error', message: 'Valid repeat mode required (none, one, all)' };
                     }
-                    return this.chromecast.setRepeatMode(mode);
+                    return session.setRepeatMode(mode);
 
                 case 'info':
-                    return this.chromecast.getQueueInfo();
+                    return session.getQueueInfo();
 
                 default:
                     return { status: 'error', message: 'Invalid queue action' };
@@ -509,12 +659,290 @@ class ChromecastController {
         }
     }
 
-    _buildStreamingUrl(track) {
+    // Rebuild a queue saved before the last restart: device_name's own queue when it has one,
+    // otherwise the most recently saved queue, on device_name or the device it was saved from
+    async resumeSession(params = {}) {
+        try {
+            if (!this.chromecast.isAvailable) {
+                return { status: 'error', message: 'Chromecast service not available' };
+            }
+
+            const saved = (params.device_name && this.chromecast.getSavedQueue(params.device_name))
+                || this.chromecast.getSavedQueue();
+            if (!saved || !Array.isArray(saved.trackIds) || saved.trackIds.length === 0) {
+                return { status: 'error', message: 'No saved playback session to resume' };
+            }
+
+            const deviceName = params.device_name || saved.deviceName;
+            Validator.isNonEmptyString(deviceName, 'device_name');
+
+            this.logger.debug('Resume session request', { deviceName, savedFrom: saved.deviceName, tracks: saved.trackIds.length });
+
+            const session = await this._playbackSession(deviceName);
+
+            const queue = this._rebuildQueue(saved, session);
+            if (queue.items.length === 0) {
+                return { status: 'error', message: 'None of the saved tracks are in the library anymore' };
+            }
+
+            await session.createQueue(queue.items, queue.options);
+
+            const current = queue.items[queue.options.startIndex];
+
+            return {
+                status: 'success',
+                message: `Resumed ${queue.items.length} track(s) on ${deviceName} at '${current.title}'`,
+                device_name: deviceName,
+                tracksAdded: queue.items.length,
+                tracksMissing: queue.missing,
+                startIndex: queue.options.startIndex,
+                currentTime: queue.options.currentTime,
+                currentTrack: { id: current.id, title: current.title, artist: current.artist },
+                savedAt: saved.timestamp ? new Date(saved.timestamp).toISOString() : null,
+                usingNativeQueue: true
+            };
+
+        } catch (error) {
+            this.logger.error('Resume session failed', { params, error: error.message });
+
+            if (error instanceof ChromecastError || error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to resume session' };
+        }
+    }
+
+    // Move the queue, position, volume and repeat mode to another device, then stop the source.
+    // The source keeps playing until the target has taken over
+    async transferPlayback(params) {
+        try {
+            if (!this.chromecast.isAvailable) {
+                return { status: 'error', message: 'Chromecast service not available' };
+            }
+
+            const { target_device, device_name } = params;
+            Validator.isNonEmptyString(target_device, 'target_device');
+
+            const source = this.chromecast.getSession(device_name);
+            const sourceName = source.device.name;
+
+            const snapshot = source.getQueueSnapshot();
+            if (!snapshot) {
+                return { status: 'error', message: `Nothing is queued on ${sourceName} to transfer` };
+            }
+
+            if (sourceName === target_device) {
+                return { status: 'error', message: `Already playing on ${target_device}` };
+            }
+
+            const volume = source.currentStatus?.volume?.level;
+            const wasPaused = source.currentStatus?.playerState === 'PAUSED';
+
+            this.logger.debug('Transfer playback request', { from: sourceName, to: target_device, tracks: snapshot.trackIds.length });
+
+            const target = await this._playbackSession(target_device);
+
+            // Built for the target so transcoding follows its format support
+            const queue = this._rebuildQueue(snapshot, target);
+            if (queue.items.length === 0) {
+                return { status: 'error', message: 'None of the queued tracks are in the library anymore' };
+            }
+
+            await target.createQueue(queue.items, queue.options);
+
+            // The target is playing from here on; later failures are reported rather than thrown
+            // so the caller knows what state each device was left in
+            const warnings = [];
+
+            if (typeof volume === 'number') {
+                await target.setVolume(volume)
+                    .catch(error => warnings.push(`Volume not applied on ${target_device}: ${error.message}`));
+            }
+            if (wasPaused) {
+                await target.pause()
+                    .catch(error => warnings.push(`Could not pause ${target_device}: ${error.message}`));
+            }
+
+            try {
+                await source.stop();
+            } catch (error) {
+                // Only one device should play: undo the target if the source keeps going
+                this.logger.warn('Transfer could not stop the source device', { device: sourceName, error: error.message });
+
+                try {
+                    await target.stop();
+                    this.chromecast.clearSavedQueue(target_device);
+                    return {
+                        status: 'error',
+                        message: `Could not stop ${sourceName} (${error.message}); playback stays there and ${target_device} was stopped`,
+                        from_device: sourceName,
+                        to_device: target_device
+                    };
+                } catch (undoError) {
+                    this.logger.warn('Transfer could not undo the target device', { device: target_device, error: undoError.message });
+                    return {
+                        status: 'partial',
+                        message: `Playback started on ${target_device} but ${sourceName} could not be stopped; both devices are playing`,
+                        from_device: sourceName,
+                        to_device: target_device,
+                        tracksTransferred: queue.items.length,
+                        warnings: [...warnings, `Stop failed on ${sourceName}: ${error.message}`, `Stop failed on ${target_device}: ${undoError.message}`]
+                    };
+                }
+            }
+
+            // The queue lives on the target now, so the source's saved copy goes too
+            await this.chromecast.disconnect(sourceName);
+            this.chromecast.clearSavedQueue(sourceName);
+
+            const current = queue.items[queue.options.startIndex];
+
+            return {
+                status: warnings.length > 0 ? 'partial' : 'success',
+                message: `Moved playback from ${sourceName} to ${target_device} at '${current.title}'`,
+                from_device: sourceName,
+                to_device: target_device,
+                tracksTransferred: queue.items.length,
+                startIndex: queue.options.startIndex,
+                currentTime: queue.options.currentTime,
+                currentTrack: { id: current.id, title: current.title, artist: current.artist },
+                volume: typeof volume === 'number' ? volume : null,
+                repeatMode: queue.options.repeatMode,
+                paused: wasPaused,
+                ...(warnings.length > 0 ? { warnings } : {})
+            };
+
+        } catch (error) {
+            this.logger.error('Transfer playback failed', { params, error: error.message });
+
+            if (error instanceof ChromecastError || error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to transfer playback' };
+        }
+    }
+
+    // Queue items and createQueue options for a queue snapshot; tracks no longer in the library are left out
+    _rebuildQueue(snapshot, session) {
+        const items = [];
+        const kept = [];
+
+        for (const [position, trackId] of snapshot.trackIds.entries()) {
+            try {
+                items.push(this._buildQueueItem(this.database.getTrackById(trackId), session));
+                kept.push(position);
+            } catch (error) {
+                if (!(error instanceof NotFoundError) && !(error instanceof ValidationError)) throw error;
+            }
+        }
+
+        // A missing current track starts the next one that is left, from its beginning
+        let startIndex = kept.indexOf(snapshot.currentIndex);
+        let currentTime = snapshot.currentTime || 0;
+        if (startIndex === -1) {
+            startIndex = Math.max(0, kept.findIndex(position => position > snapshot.currentIndex));
+            currentTime = 0;
+        }
+
+        const originalOrder = Array.isArray(snapshot.originalOrder)
+            ? snapshot.originalOrder.map(position => kept.indexOf(position)).filter(index => index !== -1)
+            : null;
+
+        return {
+            items,
+            missing: snapshot.trackIds.length - items.length,
+            options: {
+                startIndex,
+                currentTime,
+                repeatMode: snapshot.repeatMode || 'REPEAT_OFF',
+                originalOrder
+            }
+        };
+    }
+
+    // Session a playback tool starts on: the named device (connecting it if needed) or the default session
+    async _playbackSession(deviceName) {
+        if (deviceName) {
+            return this.chromecast.hasSession(deviceName)
+                ? this.chromecast.getSession(deviceName)
+                : await this.chromecast.connectToDevice(deviceName);
+        }
+
+        return this.chromecast.hasSession() ? this.chromecast.getSession() : null;
+    }
+
+    // Queue items for database tracks or track IDs
+    _buildQueueItems(tracks, session) {
+        return tracks.map(track =>
+            this._buildQueueItem(typeof track === 'object' ? track : this.database.getTrackById(track), session));
+    }
+
+    // Shape a database track the way the Chromecast service expects queue entries for a session's device
+    _buildQueueItem(track, session) {
+        const format = this._getStreamFormat(track, session.device);
+
+        return {
+            id: track.id,
+            title: track.title || 'Unknown Track',
+            artist: track.artist || 'Unknown Artist',
+            album: this._tagValue(track.album),
+            albumArtist: this._tagValue(track.album_artist),
+            composer: this._tagValue(track.composer),
+            trackNumber: track.track_number,
+            discNumber: track.disc_number,
+            year: track.year,
+            url: this._buildStreamingUrl(track, format),
+            contentType: format ? this.transcoder.getContentType(format) : this._getContentType(track.filepath),
+            duration: track.duration,
+            albumArt: this._buildArtUrl(track),
+            trackId: track.id
+        };
+    }
+
+    _shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
+    _buildStreamingUrl(track, format = null) {
         const baseUrl = this.config.getBaseUrl();
+        if (format) {
+            return `${baseUrl}/stream/${track.id}${this.transcoder.getExtension(format)}?format=${format}`;
+        }
+
         const ext = this._getFileExtension(track.filepath);
         return `${baseUrl}/stream/${track.id}${ext}`;
     }
 
+    // Conversion the device needs for this track, or null to stream the file as is
+    _getStreamFormat(track, device) {
+        if (!this.transcoder) return null;
+
+        const format = this.transcoder.getTargetFormat(track.filepath, device);
+        if (format && !this.transcoder.isAvailable()) {
+            throw new ChromecastError(`'${track.title}': ${this.transcoder.getUnavailableMessage(track.filepath)}`);
+        }
+
+        return format;
+    }
+
+    _tagValue(value) {
+        return value && !MISSING_TAG_VALUES.has(value) ? value : undefined;
+    }
+
+    // Art URL only for tracks known to have a cover, so receivers never request an image the route
+    // cannot serve. The library scan records it; tracks not rescanned yet use earlier art lookups
+    _buildArtUrl(track) {
+        const hasArt = track.has_art ?? this.albumArt?.knownArt(track) ?? false;
+        return hasArt ? `${this.config.getBaseUrl()}/art/${track.id}` : undefined;
+    }
+
     _getFileExtension(filepath) {
         if (!filepath) return '.mp3';
         return require('path').extname(filepath) || '.mp3';
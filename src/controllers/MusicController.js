@@ -3,40 +3,66 @@
  * Handles all music-related MCP tool calls
  */
 
+const crypto = require('crypto');
 const { ValidationError, NotFoundError } = require('../utils/errors');
 const Validator = require('../utils/validator');
 
+// Page size cap shared by every search_music entry point; larger result sets are paged
+const MAX_SEARCH_LIMIT = 100;
+
 class MusicController {
-    constructor(databaseService, logger) {
+    constructor(databaseService, logger, services = {}) {
         this.database = databaseService;
         this.logger = logger;
+        this.playlistFiles = services.playlistFiles || null;
+        this.chromecast = services.chromecast || null;
     }
 
     async searchMusic(params) {
         try {
-            const { query, type = 'basic', filter, limit = 10, fuzzy = false, phonetic = false, random = false } = params;
+            const { query, type = 'basic', filter, limit = 10, fuzzy = false, phonetic = false, random = false, cursor } = params;
             
-            Validator.isValidQuery(query);
-            Validator.isValidLimit(limit);
-
-            this.logger.debug('Search music request', { query, type, limit, random });
+            // The query may be omitted when structured filters narrow the search
+            if (query || !filter) {
+                Validator.isValidQuery(query);
+            }
+            Validator.isValidLimit(limit, MAX_SEARCH_LIMIT);
 
             const options = {
-                limit,
-                fuzzy,
+                fuzzy: fuzzy || type === 'fuzzy',
                 exact: type === 'exact',
-                random
+                phonetic,
+                random,
+                filter
             };
 
-            const tracks = this.database.searchTracks(query, options);
+            // A cursor carries the offset, the shuffle seed for random results, and a hash of the
+            // search that produced it so it cannot page through a different one
+            const searchHash = this._searchHash(query, options);
+            const page = cursor ? this._decodeCursor(cursor, searchHash) : { offset: params.offset || 0, seed: null };
+            const seed = random ? page.seed || Math.floor(Math.random() * 1e9) + 1 : null;
+
+            this.logger.debug('Search music request', { query, type, filter, limit, offset: page.offset, phonetic, random });
+
+            Object.assign(options, { limit, offset: page.offset, seed });
+
+            const { tracks, total } = this.database.searchTracks(query, options);
+            const nextOffset = page.offset + tracks.length;
+            const hasMore = tracks.length > 0 && nextOffset < total;
 
             return {
                 status: 'success',
                 results: tracks,
                 count: tracks.length,
-                query: query,
+                total_matches: total,
+                offset: page.offset,
+                has_more: hasMore,
+                next_cursor: hasMore ? this._encodeCursor({ offset: nextOffset, seed, hash: searchHash }) : null,
+                query: query || null,
+                filter: filter || null,
                 type: type,
                 limit: limit,
+                phonetic: phonetic,
                 random: random
             };
 
@@ -51,6 +77,45 @@ class MusicController {
         }
     }
 
+    _encodeCursor({ offset, seed, hash }) {
+        return Buffer.from(JSON.stringify({ o: offset, s: seed, h: hash })).toString('base64url');
+    }
+
+    _decodeCursor(cursor, searchHash) {
+        let page;
+        try {
+            Validator.isNonEmptyString(cursor, 'cursor');
+            const { o, s, h } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+            if (!Number.isInteger(o) || o < 0 || (s !== null && !Number.isInteger(s)) || typeof h !== 'string') {
+                throw new Error('Malformed cursor');
+            }
+
+            page = { offset: o, seed: s, hash: h };
+
+        } catch (error) {
+            throw new ValidationError('Invalid cursor; pass next_cursor from a previous search_music response', 'cursor');
+        }
+
+        if (page.hash !== searchHash) {
+            throw new ValidationError('Cursor belongs to a different search; repeat the same query, filter and options or search again without a cursor', 'cursor');
+        }
+
+        return page;
+    }
+
+    // Short fingerprint of everything that decides which tracks match and in what order
+    _searchHash(query, { fuzzy, exact, phonetic, random, filter }) {
+        const sortKeys = (value) => value && typeof value === 'object' && !Array.isArray(value)
+            ? Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]))
+            : value;
+
+        return crypto.createHash('sha1')
+            .update(JSON.stringify([query || null, fuzzy, exact, phonetic, random, sortKeys(filter) || null]))
+            .digest('base64url')
+            .slice(0, 10);
+    }
+
     async getLibraryStats() {
         try {
             this.logger.debug('Library stats request');
@@ -75,19 +140,248 @@ class MusicController {
         }
     }
 
+    async listArtists(params = {}) {
+        try {
+            const { query = null, genre = null, limit = 50, offset = 0 } = params;
+            Validator.isValidLimit(limit, MAX_SEARCH_LIMIT);
+
+            this.logger.debug('List artists request', { query, genre, limit, offset });
+
+            const { artists, total } = this.database.listArtists({ query, genre, limit, offset });
+
+            return {
+                status: 'success',
+                artists: artists,
+                count: artists.length,
+                total_artists: total,
+                offset: offset,
+                has_more: offset + artists.length < total
+            };
+
+        } catch (error) {
+            this.logger.error('List artists failed', { params, error: error.message });
+
+            if (error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to list artists' };
+        }
+    }
+
+    async listAlbums(params = {}) {
+        try {
+            const { artist = null, genre = null, year = null, query = null, limit = 50, offset = 0 } = params;
+            Validator.isValidLimit(limit, MAX_SEARCH_LIMIT);
+
+            this.logger.debug('List albums request', { artist, genre, year, query, limit, offset });
+
+            const { albums, total } = this.database.listAlbums({ artist, genre, year, query, limit, offset });
+
+            return {
+                status: 'success',
+                albums: albums,
+                count: albums.length,
+                total_albums: total,
+                offset: offset,
+                has_more: offset + albums.length < total
+            };
+
+        } catch (error) {
+            this.logger.error('List albums failed', { params, error: error.message });
+
+            if (error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to list albums' };
+        }
+    }
+
+    async getAlbum(params) {
+        try {
+            const { album, artist = null } = params;
+
+            this.logger.debug('Get album request', { album, artist });
+
+            return {
+                status: 'success',
+                album: this.database.getAlbum(album, artist)
+            };
+
+        } catch (error) {
+            this.logger.error('Get album failed', { params, error: error.message });
+
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to get album' };
+        }
+    }
+
+    async rateTrack(params) {
+        try {
+            const { track_id, rating } = params;
+            const trackId = this._resolveTrackId(track_id);
+
+            this.logger.debug('Rate track request', { trackId, rating });
+
+            const track = this.database.setTrackRating(trackId, rating);
+
+            return {
+                status: 'success',
+                message: rating > 0
+                    ? `Rated '${track.title}' ${rating} star${rating === 1 ? '' : 's'}`
+                    : `Cleared rating for '${track.title}'`,
+                track: track
+            };
+
+        } catch (error) {
+            this.logger.error('Rate track failed', { params, error: error.message });
+
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to rate track' };
+        }
+    }
+
+    async favoriteTrack(params) {
+        try {
+            const { track_id, favorite = true } = params;
+            const trackId = this._resolveTrackId(track_id);
+
+            this.logger.debug('Favorite track request', { trackId, favorite });
+
+            const track = this.database.setTrackFavorite(trackId, favorite);
+
+            return {
+                status: 'success',
+                message: favorite
+                    ? `Added '${track.title}' to favorites`
+                    : `Removed '${track.title}' from favorites`,
+                track: track
+            };
+
+        } catch (error) {
+            this.logger.error('Favorite track failed', { params, error: error.message });
+
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to update favorite' };
+        }
+    }
+
+    // Without an explicit track_id, act on whatever the Chromecast is playing
+    _resolveTrackId(trackId) {
+        if (trackId !== undefined && trackId !== null) {
+            return trackId;
+        }
+
+        const currentTrackId = this.chromecast ? this.chromecast.getCurrentTrackId() : null;
+        if (!currentTrackId) {
+            throw new ValidationError('No track is currently playing; pass track_id', 'track_id');
+        }
+
+        return currentTrackId;
+    }
+
+    async getRecentlyPlayed(params = {}) {
+        try {
+            const { limit = 20, days = null, since = null, until = null } = params;
+            Validator.isValidLimit(limit, MAX_SEARCH_LIMIT);
+
+            this.logger.debug('Recently played request', { limit, days, since, until });
+
+            const plays = this.database.getRecentlyPlayed({ limit, days, since, until });
+
+            return {
+                status: 'success',
+                results: plays,
+                count: plays.length
+            };
+
+        } catch (error) {
+            this.logger.error('Get recently played failed', { params, error: error.message });
+
+            if (error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to get recently played tracks' };
+        }
+    }
+
+    async getMostPlayed(params = {}) {
+        try {
+            const { group_by = 'track', limit = 10, days = null, since = null, until = null } = params;
+            Validator.isValidLimit(limit, MAX_SEARCH_LIMIT);
+
+            this.logger.debug('Most played request', { group_by, limit, days, since, until });
+
+            const results = this.database.getMostPlayed({ groupBy: group_by, limit, days, since, until });
+
+            return {
+                status: 'success',
+                group_by: group_by,
+                results: results,
+                count: results.length
+            };
+
+        } catch (error) {
+            this.logger.error('Get most played failed', { params, error: error.message });
+
+            if (error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to get most played' };
+        }
+    }
+
+    async getListeningStats(params = {}) {
+        try {
+            const { days = null, since = null, until = null } = params;
+
+            this.logger.debug('Listening stats request', { days, since, until });
+
+            const stats = this.database.getListeningStats({ days, since, until });
+
+            return {
+                status: 'success',
+                stats: stats
+            };
+
+        } catch (error) {
+            this.logger.error('Get listening stats failed', { params, error: error.message });
+
+            if (error instanceof ValidationError) {
+                return { status: 'error', message: error.message };
+            }
+
+            return { status: 'error', message: 'Failed to get listening statistics' };
+        }
+    }
+
     async managePlaylist(params) {
         try {
-            const { action, playlist_id, name, description } = params;
+            const { action, playlist_id, name, description, rules, track_ids, track_id, position, file_path, content, format, locations } = params;
 
             this.logger.debug('Manage playlist request', { action, playlist_id, name });
 
             switch (action) {
                 case 'create':
                     Validator.isNonEmptyString(name, 'name');
-                    const playlist = this.database.createPlaylist(name, description || '');
+                    const playlist = this.database.createPlaylist(name, description || '', rules || null);
                     return {
                         status: 'success',
-                        message: `Playlist '${name}' created successfully`,
+                        message: playlist.smart
+                            ? `Smart playlist '${name}' created successfully`
+                            : `Playlist '${name}' created successfully`,
                         playlist: playlist
                     };
 
@@ -99,6 +393,126 @@ class MusicController {
                         count: playlists.length
                     };
 
+                case 'get': {
+                    const playlist = this.database.getPlaylist(playlist_id);
+                    return {
+                        status: 'success',
+                        playlist: playlist
+                    };
+                }
+
+                case 'add_tracks': {
+                    const result = this.database.addTracksToPlaylist(playlist_id, track_ids, position);
+                    return {
+                        status: 'success',
+                        message: `Added ${result.added} track(s) to playlist${result.skipped ? ` (${result.skipped} already present)` : ''}`,
+                        playlist_id: playlist_id,
+                        ...result
+                    };
+                }
+
+                case 'remove_tracks': {
+                    const result = this.database.removeTracksFromPlaylist(playlist_id, track_ids);
+                    return {
+                        status: 'success',
+                        message: `Removed ${result.removed} track(s) from playlist`,
+                        playlist_id: playlist_id,
+                        ...result
+                    };
+                }
+
+                case 'move': {
+                    const result = this.database.movePlaylistTrack(playlist_id, track_id, position);
+                    return {
+                        status: 'success',
+                        message: `Moved track ${track_id} to position ${result.position}`,
+                        playlist_id: playlist_id,
+                        ...result
+                    };
+                }
+
+                case 'rename': {
+                    const playlist = this.database.renamePlaylist(playlist_id, name, description);
+                    return {
+                        status: 'success',
+                        message: `Playlist renamed to '${playlist.name}'`,
+                        playlist: playlist
+                    };
+                }
+
+                case 'delete': {
+                    const playlist = this.database.deletePlaylist(playlist_id);
+                    return {
+                        status: 'success',
+                        message: `Playlist '${playlist.name}' deleted`,
+                        playlist_id: playlist_id
+                    };
+                }
+
+                case 'set_rules': {
+                    const playlist = this.database.setPlaylistRules(playlist_id, rules || null);
+                    return {
+                        status: 'success',
+                        message: playlist.smart
+                            ? `Rules updated for smart playlist '${playlist.name}'`
+                            : `Playlist '${playlist.name}' is now a regular playlist`,
+                        playlist: playlist
+                    };
+                }
+
+                case 'duplicate': {
+                    const playlist = this.database.duplicatePlaylist(playlist_id, name || null);
+                    return {
+                        status: 'success',
+                        message: `Playlist duplicated as '${playlist.name}'`,
+                        playlist: playlist
+                    };
+                }
+
+                case 'import': {
+                    if (!this.playlistFiles) {
+                        return { status: 'error', message: 'Playlist import is not available' };
+                    }
+
+                    const result = this.playlistFiles.importPlaylist({
+                        filePath: file_path,
+                        content,
+                        format,
+                        name,
+                        playlistId: playlist_id
+                    });
+
+                    return {
+                        status: result.playlist ? 'success' : 'error',
+                        message: result.playlist
+                            ? `Imported ${result.added} of ${result.total_entries} entries into '${result.playlist.name}'`
+                            : 'No playlist entries matched tracks in the library',
+                        ...result
+                    };
+                }
+
+                case 'export': {
+                    if (!this.playlistFiles) {
+                        return { status: 'error', message: 'Playlist export is not available' };
+                    }
+
+                    const result = this.playlistFiles.exportPlaylist(playlist_id, {
+                        format: format || 'm3u8',
+                        filePath: file_path || null,
+                        locations: locations || 'path'
+                    });
+
+                    return {
+                        status: 'success',
+                        message: result.file_path
+                            ? `Exported ${result.track_count} track(s) to ${result.file_path}`
+                            : `Exported ${result.track_count} track(s) as ${result.format}`,
+                        ...result,
+                        // The file already holds the content; only inline it when nothing was written
+                        content: result.file_path ? undefined : result.content
+                    };
+                }
+
                 default:
                     return { status: 'error', message: `Unknown playlist action: ${action}` };
             }
@@ -106,7 +520,7 @@ class MusicController {
         } catch (error) {
             this.logger.error('Manage playlist failed', { params, error: error.message });
             
-            if (error instanceof ValidationError) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
                 return { status: 'error', message: error.message };
             }
             
@@ -115,8 +529,6 @@ class MusicController {
     }
 
     // Additional music-related methods can be added here
-    // - addToPlaylist
-    // - removeFromPlaylist
     // - updateTrackMetadata
     // - etc.
 }
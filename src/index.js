@@ -13,6 +13,12 @@ const Logger = require('./utils/logger');
 const DatabaseService = require('./services/DatabaseService');
 const ChromecastServiceQueue = require('./services/ChromecastServiceQueue');
 const ConnectionManager = require('./services/ConnectionManager');
+const LibraryScanner = require('./services/LibraryScanner');
+const LibraryWatcher = require('./services/LibraryWatcher');
+const PlaylistFileService = require('./services/PlaylistFileService');
+const PlayHistoryService = require('./services/PlayHistoryService');
+const AlbumArtService = require('./services/AlbumArtService');
+const TranscodingService = require('./services/TranscodingService');
 
 // Import controllers
 const MusicController = require('./controllers/MusicController');
@@ -76,13 +82,64 @@ class Application {
                 this.logger.child('Database')
             );
 
+            // Library Scanner and Watcher (keeps tracks in sync with the music directories)
+            this.services.libraryScanner = new LibraryScanner(
+                this.config,
+                this.services.database,
+                this.logger.child('Scanner')
+            );
+
+            if (this.config.library.watch) {
+                this.logger.info('Starting library watcher');
+                this.services.libraryWatcher = new LibraryWatcher(
+                    this.config,
+                    this.services.libraryScanner,
+                    this.logger.child('Watcher')
+                );
+                this.services.libraryWatcher.start();
+            }
+
+            // Playlist file import/export (M3U, PLS, XSPF)
+            this.services.playlistFiles = new PlaylistFileService(
+                this.config,
+                this.services.database,
+                this.logger.child('PlaylistFiles')
+            );
+
+            // Play history (fed by Chromecast status updates and stream requests)
+            this.services.playHistory = new PlayHistoryService(
+                this.config,
+                this.services.database,
+                this.logger.child('PlayHistory')
+            );
+
+            // Cover art served to Chromecast receivers
+            this.services.albumArt = new AlbumArtService(
+                this.config,
+                this.services.database,
+                this.logger.child('AlbumArt')
+            );
+
+            // ffmpeg conversions for formats Cast devices cannot decode
+            this.services.transcoder = new TranscodingService(
+                this.config,
+                this.logger.child('Transcoding')
+            );
+            this.services.transcoder.probe();
+
             // HTTP Streaming Server (for Chromecast playback)
             this.logger.info('Initializing HTTP streaming server');
             const StreamingServer = require('./servers/StreamingServer');
             this.services.streaming = new StreamingServer(
                 this.config,
                 this.services.database,
-                this.logger.child('Streaming')
+                this.logger.child('Streaming'),
+                {
+                    playlistFiles: this.services.playlistFiles,
+                    playHistory: this.services.playHistory,
+                    albumArt: this.services.albumArt,
+                    transcoder: this.services.transcoder
+                }
             );
 
             // Connection Manager
@@ -96,13 +153,15 @@ class Application {
             this.services.chromecast = new ChromecastServiceQueue(
                 this.config,
                 this.logger.child('Chromecast'),
-                this.services.connectionManager
+                this.services.connectionManager,
+                this.services.playHistory
             );
 
             this.logger.info('Services initialized', {
                 database: this.services.database.isHealthy(),
                 chromecast: this.services.chromecast.isHealthy(),
-                streaming: 'ready'
+                streaming: 'ready',
+                libraryWatcher: this.services.libraryWatcher?.isRunning || false
             });
 
         } catch (error) {
@@ -116,7 +175,11 @@ class Application {
             // Music Controller
             this.controllers.music = new MusicController(
                 this.services.database,
-                this.logger.child('MusicController')
+                this.logger.child('MusicController'),
+                {
+                    playlistFiles: this.services.playlistFiles,
+                    chromecast: this.services.chromecast
+                }
             );
 
             // Chromecast Controller
@@ -124,7 +187,11 @@ class Application {
                 this.services.chromecast,
                 this.services.database,
                 this.config,
-                this.logger.child('ChromecastController')
+                this.logger.child('ChromecastController'),
+                {
+                    transcoder: this.services.transcoder,
+                    albumArt: this.services.albumArt
+                }
             );
 
             this.logger.info('Controllers initialized');
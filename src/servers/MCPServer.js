@@ -139,12 +139,32 @@ class MCPServer {
                     type: 'object',
                     properties: {
                         query: { type: 'string', description: 'Search query' },
-                        type: { type: 'string', enum: ['basic', 'exact'], description: 'Search type' },
-                        limit: { type: 'integer', description: 'Maximum number of results', minimum: 1, maximum: 1000 },
-                        fuzzy: { type: 'boolean', description: 'Enable fuzzy search' },
-                        random: { type: 'boolean', description: 'Return random results from search' }
+                        type: { type: 'string', enum: ['basic', 'exact', 'fuzzy'], description: 'Search type (fuzzy tolerates typos and ranks by similarity)' },
+                        limit: { type: 'integer', description: 'Maximum number of results per page (1-100)', minimum: 1, maximum: 100 },
+                        offset: { type: 'integer', description: 'Number of results to skip', minimum: 0 },
+                        cursor: { type: 'string', description: 'next_cursor from a previous response, to fetch the next page of the same search (same query, filter and options)' },
+                        fuzzy: { type: 'boolean', description: 'Enable typo-tolerant fuzzy search (same as type "fuzzy")' },
+                        phonetic: { type: 'boolean', description: 'Match words that sound alike (e.g. "Lou Reid" finds "Lou Reed")' },
+                        random: { type: 'boolean', description: 'Return random results from search' },
+                        filter: {
+                            type: 'object',
+                            description: 'Structured filters combined with AND; query is optional when a filter is given',
+                            properties: {
+                                artist: { type: 'string', description: 'Artist name contains' },
+                                album: { type: 'string', description: 'Album name contains' },
+                                genre: { type: 'string', description: 'Genre contains' },
+                                year_min: { type: 'integer', description: 'Earliest release year' },
+                                year_max: { type: 'integer', description: 'Latest release year' },
+                                duration_min: { type: 'number', description: 'Minimum duration in seconds' },
+                                duration_max: { type: 'number', description: 'Maximum duration in seconds' },
+                                min_rating: { type: 'integer', description: 'Minimum rating (0-5)', minimum: 0, maximum: 5 },
+                                favorite: { type: 'boolean', description: 'Only favorites (true) or non-favorites (false)' },
+                                mood: { type: 'string', description: 'Mood' },
+                                played_since: { type: 'string', description: 'Only tracks played since this ISO date' }
+                            }
+                        }
                     },
-                    required: ['query']
+                    required: []
                 }
             },
             {
@@ -155,15 +175,151 @@ class MCPServer {
                     properties: {}
                 }
             },
+            {
+                name: 'list_artists',
+                description: 'List album artists with album and track counts',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Only artists whose name contains this text' },
+                        genre: { type: 'string', description: 'Only artists with tracks in this genre' },
+                        limit: { type: 'integer', description: 'Maximum number of artists', default: 50, minimum: 1, maximum: 100 },
+                        offset: { type: 'integer', description: 'Number of artists to skip', default: 0, minimum: 0 }
+                    }
+                }
+            },
+            {
+                name: 'list_albums',
+                description: 'List albums grouped by album artist, with year, track count and total duration',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        artist: { type: 'string', description: 'Album artist name (partial match)' },
+                        genre: { type: 'string', description: 'Only albums with tracks in this genre' },
+                        year: { type: 'integer', description: 'Release year' },
+                        query: { type: 'string', description: 'Album title (partial match)' },
+                        limit: { type: 'integer', description: 'Maximum number of albums', default: 50, minimum: 1, maximum: 100 },
+                        offset: { type: 'integer', description: 'Number of albums to skip', default: 0, minimum: 0 }
+                    }
+                }
+            },
+            {
+                name: 'get_album',
+                description: 'Get an album with its tracks in track order, total duration and year',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        album: { type: 'string', description: 'Album title' },
+                        artist: { type: 'string', description: 'Album artist, needed when several albums share the title' }
+                    },
+                    required: ['album']
+                }
+            },
+            {
+                name: 'rate_track',
+                description: 'Rate a track from 0 (unrated) to 5 stars; rates the currently playing track when track_id is omitted',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        track_id: { type: 'integer', description: 'Track ID (defaults to the current track)', minimum: 1 },
+                        rating: { type: 'integer', description: 'Stars, 0 clears the rating', minimum: 0, maximum: 5 }
+                    },
+                    required: ['rating']
+                }
+            },
+            {
+                name: 'favorite_track',
+                description: 'Mark or unmark a track as a favorite; uses the currently playing track when track_id is omitted',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        track_id: { type: 'integer', description: 'Track ID (defaults to the current track)', minimum: 1 },
+                        favorite: { type: 'boolean', description: 'false removes the track from favorites', default: true }
+                    }
+                }
+            },
+            {
+                name: 'get_recently_played',
+                description: 'List recently played tracks, newest first, with device, time and listened duration',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        limit: { type: 'integer', description: 'Maximum number of plays', default: 20, minimum: 1, maximum: 100 },
+                        days: { type: 'integer', description: 'Only plays from the last N days', minimum: 1 },
+                        since: { type: 'string', description: 'Only plays on or after this ISO date' },
+                        until: { type: 'string', description: 'Only plays before this ISO date' }
+                    }
+                }
+            },
+            {
+                name: 'get_most_played',
+                description: 'Rank the most played tracks, artists, albums or genres, optionally within a time window',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        group_by: { type: 'string', enum: ['track', 'artist', 'album', 'genre'], default: 'track' },
+                        limit: { type: 'integer', description: 'Maximum number of results', default: 10, minimum: 1, maximum: 100 },
+                        days: { type: 'integer', description: 'Only plays from the last N days', minimum: 1 },
+                        since: { type: 'string', description: 'Only plays on or after this ISO date' },
+                        until: { type: 'string', description: 'Only plays before this ISO date' }
+                    }
+                }
+            },
+            {
+                name: 'get_listening_stats',
+                description: 'Get listening statistics: total plays and hours, hours per day and top genres per month',
+                inputSchema: {
+                    type: 'object',
+                    properties: {
+                        days: { type: 'integer', description: 'Only plays from the last N days', minimum: 1 },
+                        since: { type: 'string', description: 'Only plays on or after this ISO date' },
+                        until: { type: 'string', description: 'Only plays before this ISO date' }
+                    }
+                }
+            },
             {
                 name: 'manage_playlist',
-                description: 'Create and manage playlists',
+                description: 'Create and manage playlists, including rule-based smart playlists: list, view, add/remove/reorder tracks, rename, duplicate, delete, or import/export M3U, PLS and XSPF files',
                 inputSchema: {
                     type: 'object',
                     properties: {
-                        action: { type: 'string', enum: ['create', 'list'], description: 'Action to perform' },
-                        name: { type: 'string', description: 'Playlist name (required for create)' },
-                        description: { type: 'string', description: 'Playlist description' }
+                        action: {
+                            type: 'string',
+                            enum: ['create', 'list', 'get', 'add_tracks', 'remove_tracks', 'move', 'rename', 'delete', 'duplicate', 'set_rules', 'import', 'export'],
+                            description: 'Action to perform'
+                        },
+                        playlist_id: { type: 'integer', description: 'Playlist ID (required for every action except create and list)' },
+                        name: { type: 'string', description: 'Playlist name (required for create and rename, optional for duplicate)' },
+                        description: { type: 'string', description: 'Playlist description' },
+                        rules: {
+                            type: 'object',
+                            description: 'Smart playlist rules for create or set_rules (tracks are re-evaluated whenever the playlist is listed, viewed or played)',
+                            properties: {
+                                match: { type: 'string', enum: ['all', 'any'], description: 'Combine conditions with AND (all) or OR (any)' },
+                                conditions: {
+                                    type: 'array',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            field: { type: 'string', enum: ['title', 'artist', 'album', 'genre', 'composer', 'mood', 'year', 'duration', 'rating', 'favorite', 'play_count', 'energy_level', 'tempo', 'last_played', 'added'] },
+                                            op: { type: 'string', enum: ['=', '!=', 'contains', 'not_contains', 'starts_with', '>', '>=', '<', '<=', 'between', 'within_days', 'older_than_days', 'before', 'after', 'never'] },
+                                            value: { description: 'Text, number, [min, max] for between, days, or an ISO date' }
+                                        },
+                                        required: ['field', 'op']
+                                    }
+                                },
+                                sort: { type: 'string', description: "'random' or a field name" },
+                                order: { type: 'string', enum: ['asc', 'desc'] },
+                                limit: { type: 'integer', minimum: 1, maximum: 1000 }
+                            }
+                        },
+                        track_ids: { type: 'array', items: { type: 'integer' }, description: 'Track IDs for add_tracks and remove_tracks' },
+                        track_id: { type: 'integer', description: 'Track ID to move' },
+                        position: { type: 'integer', minimum: 1, description: 'Target position starting at 1 (move, or insertion point for add_tracks; default end)' },
+                        file_path: { type: 'string', description: 'Playlist file to import, or file to write on export (omit to return the content)' },
+                        content: { type: 'string', description: 'Playlist file content to import instead of file_path' },
+                        format: { type: 'string', enum: ['m3u', 'm3u8', 'pls', 'xspf'], description: 'Playlist file format (detected from the file on import; default m3u8 on export)' },
+                        locations: { type: 'string', enum: ['path', 'stream'], description: 'Export entries as local file paths or streaming URLs (default path)' }
                     },
                     required: ['action']
                 }
@@ -180,7 +336,7 @@ class MCPServer {
                 },
                 {
                     name: 'connect_chromecast',
-                    description: 'Connect to a specific Chromecast device',
+                    description: 'Connect to a specific Chromecast device; devices already connected keep playing',
                     inputSchema: {
                         type: 'object',
                         properties: {
@@ -219,13 +375,44 @@ class MCPServer {
                         required: ['tracks']
                     }
                 },
+                {
+                    name: 'play_playlist',
+                    description: 'Load a saved playlist into the Chromecast queue in playlist order',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            playlist_id: { type: 'integer', description: 'ID of the playlist to play' },
+                            shuffle: { type: 'boolean', description: 'Shuffle the playlist (the start track still plays first)', default: false },
+                            start_position: { type: 'integer', description: 'Playlist position to start from (1-based)', minimum: 1, default: 1 },
+                            append: { type: 'boolean', description: 'Append to the current queue instead of replacing it', default: false },
+                            device_name: { type: 'string', description: 'Optional: Chromecast device name to connect/use' }
+                        },
+                        required: ['playlist_id']
+                    }
+                },
+                {
+                    name: 'play_album',
+                    description: 'Queue a whole album on the Chromecast in track order',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            album: { type: 'string', description: 'Album title' },
+                            artist: { type: 'string', description: 'Album artist, needed when several albums share the title' },
+                            start_track: { type: 'integer', description: 'Album track to start from (1-based)', minimum: 1, default: 1 },
+                            append: { type: 'boolean', description: 'Append to the current queue instead of replacing it', default: false },
+                            device_name: { type: 'string', description: 'Optional: Chromecast device name to connect/use' }
+                        },
+                        required: ['album']
+                    }
+                },
                 {
                     name: 'set_volume',
                     description: 'Set the volume level on the connected Chromecast device',
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            volume: { type: 'number', description: 'Volume level (0.0 to 1.0)', minimum: 0.0, maximum: 1.0 }
+                            volume: { type: 'number', description: 'Volume level (0.0 to 1.0)', minimum: 0.0, maximum: 1.0 },
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
                         },
                         required: ['volume']
                     }
@@ -233,27 +420,52 @@ class MCPServer {
                 {
                     name: 'pause_playback',
                     description: 'Pause the current playback on the Chromecast device',
-                    inputSchema: { type: 'object', properties: {} }
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
+                        }
+                    }
                 },
                 {
                     name: 'resume_playback',
                     description: 'Resume the paused playback on the Chromecast device',
-                    inputSchema: { type: 'object', properties: {} }
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
+                        }
+                    }
                 },
                 {
                     name: 'stop_playback',
                     description: 'Stop the current playback on the Chromecast device',
-                    inputSchema: { type: 'object', properties: {} }
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
+                        }
+                    }
                 },
                 {
                     name: 'skip_to_next',
                     description: 'Skip to the next track in the queue',
-                    inputSchema: { type: 'object', properties: {} }
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
+                        }
+                    }
                 },
                 {
                     name: 'skip_to_previous',
                     description: 'Skip to the previous track in the queue',
-                    inputSchema: { type: 'object', properties: {} }
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
+                        }
+                    }
                 },
                 {
                     name: 'skip_to_track',
@@ -261,7 +473,8 @@ class MCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            track_number: { type: 'integer', description: 'Track number in queue (1-based)', minimum: 1 }
+                            track_number: { type: 'integer', description: 'Track number in queue (1-based)', minimum: 1 },
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
                         },
                         required: ['track_number']
                     }
@@ -272,41 +485,71 @@ class MCPServer {
                     inputSchema: {
                         type: 'object',
                         properties: {
-                            position: { type: 'number', description: 'Position in seconds', minimum: 0 }
+                            position: { type: 'number', description: 'Position in seconds', minimum: 0 },
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
                         },
                         required: ['position']
                     }
                 },
                 {
                     name: 'manage_queue',
-                    description: 'Manage the playback queue (add, remove, clear, shuffle, repeat)',
+                    description: 'Manage the playback queue (add, play next, insert, move, remove, clear, shuffle, repeat)',
                     inputSchema: {
                         type: 'object',
                         properties: {
                             action: { 
                                 type: 'string', 
-                                enum: ['add', 'remove', 'clear', 'shuffle', 'restore', 'repeat', 'info'],
+                                enum: ['add', 'play_next', 'insert_at', 'move', 'remove', 'clear', 'shuffle', 'restore', 'repeat', 'info'],
                                 description: 'Queue management action to perform' 
                             },
                             track_ids: { 
                                 type: 'array', 
                                 items: { type: 'integer' },
-                                description: 'Track IDs for add action' 
+                                description: 'Track IDs for add, play_next and insert_at actions' 
                             },
-                            index: { type: 'integer', description: 'Queue index for remove action' },
+                            index: { type: 'integer', description: 'Queue index (0-based) for remove, insert_at, or the track to move', minimum: 0 },
+                            to_index: { type: 'integer', description: 'Target queue index (0-based) for move action', minimum: 0 },
                             mode: { 
                                 type: 'string', 
                                 enum: ['none', 'one', 'all'],
                                 description: 'Repeat mode for repeat action' 
-                            }
+                            },
+                            device_name: { type: 'string', description: 'Device session to control (default: the most recently connected device)' }
                         },
                         required: ['action']
                     }
                 },
+                {
+                    name: 'resume_session',
+                    description: 'Reconnect a Chromecast and rebuild its saved queue at the saved track and position (e.g. after a server restart)',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: "Device to resume on: its own saved queue, or else the most recently saved one (default: the device that queue was saved from)" }
+                        }
+                    }
+                },
+                {
+                    name: 'transfer_playback',
+                    description: 'Move a queue to another Chromecast at the same track and position, keeping volume and repeat mode, and stop the source device',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            target_device: { type: 'string', description: 'Name of the Chromecast device to move playback to' },
+                            device_name: { type: 'string', description: 'Device to move playback from (default: the most recently connected device)' }
+                        },
+                        required: ['target_device']
+                    }
+                },
                 {
                     name: 'get_chromecast_status',
-                    description: 'Get the current status of the connected Chromecast device including queue information',
-                    inputSchema: { type: 'object', properties: {} }
+                    description: 'Get the status of every connected Chromecast session, including queue information',
+                    inputSchema: {
+                        type: 'object',
+                        properties: {
+                            device_name: { type: 'string', description: 'Show this device at the top level instead of the default one' }
+                        }
+                    }
                 }
             );
         }
@@ -340,6 +583,30 @@ class MCPServer {
                 case 'get_library_stats':
                     result = await this.controllers.music.getLibraryStats();
                     break;
+                case 'list_artists':
+                    result = await this.controllers.music.listArtists(args);
+                    break;
+                case 'list_albums':
+                    result = await this.controllers.music.listAlbums(args);
+                    break;
+                case 'get_album':
+                    result = await this.controllers.music.getAlbum(args);
+                    break;
+                case 'rate_track':
+                    result = await this.controllers.music.rateTrack(args);
+                    break;
+                case 'favorite_track':
+                    result = await this.controllers.music.favoriteTrack(args);
+                    break;
+                case 'get_recently_played':
+                    result = await this.controllers.music.getRecentlyPlayed(args);
+                    break;
+                case 'get_most_played':
+                    result = await this.controllers.music.getMostPlayed(args);
+                    break;
+                case 'get_listening_stats':
+                    result = await this.controllers.music.getListeningStats(args);
+                    break;
                 case 'manage_playlist':
                     result = await this.controllers.music.managePlaylist(args);
                     break;
@@ -357,23 +624,29 @@ class MCPServer {
                 case 'play_multiple_tracks':
                     result = await this.controllers.chromecast.playMultipleTracks(args);
                     break;
+                case 'play_playlist':
+                    result = await this.controllers.chromecast.playPlaylist(args);
+                    break;
+                case 'play_album':
+                    result = await this.controllers.chromecast.playAlbum(args);
+                    break;
                 case 'set_volume':
                     result = await this.controllers.chromecast.setVolume(args);
                     break;
                 case 'pause_playback':
-                    result = await this.controllers.chromecast.pausePlayback();
+                    result = await this.controllers.chromecast.pausePlayback(args);
                     break;
                 case 'resume_playback':
-                    result = await this.controllers.chromecast.resumePlayback();
+                    result = await this.controllers.chromecast.resumePlayback(args);
                     break;
                 case 'stop_playback':
-                    result = await this.controllers.chromecast.stopPlayback();
+                    result = await this.controllers.chromecast.stopPlayback(args);
                     break;
                 case 'skip_to_next':
-                    result = await this.controllers.chromecast.skipToNext();
+                    result = await this.controllers.chromecast.skipToNext(args);
                     break;
                 case 'skip_to_previous':
-                    result = await this.controllers.chromecast.skipToPrevious();
+                    result = await this.controllers.chromecast.skipToPrevious(args);
                     break;
                 case 'skip_to_track':
                     result = await this.controllers.chromecast.skipToTrack(args);
@@ -384,8 +657,14 @@ class MCPServer {
                 case 'manage_queue':
                     result = await this.controllers.chromecast.manageQueue(args);
                     break;
+                case 'resume_session':
+                    result = await this.controllers.chromecast.resumeSession(args);
+                    break;
+                case 'transfer_playback':
+                    result = await this.controllers.chromecast.transferPlayback(args);
+                    break;
                 case 'get_chromecast_status':
-                    result = await this.controllers.chromecast.getChromecastStatus();
+                    result = await this.controllers.chromecast.getChromecastStatus(args);
                     break;
                 
                 default:
@@ -458,6 +737,10 @@ class MCPServer {
             this.logger.info('Finalizing shutdown');
             
             // Close services
+            if (this.services.libraryWatcher) {
+                this.services.libraryWatcher.stop();
+            }
+
             if (this.services.streaming) {
                 await this.services.streaming.stop();
             }
@@ -465,6 +748,10 @@ class MCPServer {
             if (this.services.chromecast) {
                 this.services.chromecast.disconnect();
             }
+
+            if (this.services.playHistory) {
+                this.services.playHistory.finishAll();
+            }
             
             if (this.services.database) {
                 this.services.database.close();
@@ -11,10 +11,14 @@ const { promisify } = require('util');
 const statAsync = promisify(fs.stat);
 
 class StreamingServer {
-    constructor(config, databaseService, logger) {
+    constructor(config, databaseService, logger, services = {}) {
         this.config = config;
         this.database = databaseService;
         this.logger = logger || console;
+        this.playlistFiles = services.playlistFiles || null;
+        this.playHistory = services.playHistory || null;
+        this.albumArt = services.albumArt || null;
+        this.transcoder = services.transcoder || null;
         
         this.app = express();
         this.server = null;
@@ -123,7 +127,7 @@ class StreamingServer {
 
                 // Get track from database
                 const track = this.database.getTrackById(trackId);
-                const filePath = track.filepath;
+                let filePath = track.filepath;
 
                 this.logger.debug('Streaming request', { 
                     trackId, 
@@ -136,13 +140,24 @@ class StreamingServer {
                     return res.status(404).json({ error: 'Audio file not found' });
                 }
 
+                this._recordStreamPlay(req, res, track);
+
+                let contentType = this._getContentType(path.extname(filePath).toLowerCase());
+
+                // ?format= asks for a conversion the device can decode
+                if (req.query.format) {
+                    const transcoded = await this._prepareTranscode(req, res, track, String(req.query.format).toLowerCase());
+                    if (!transcoded) return;
+
+                    filePath = transcoded.filePath;
+                    contentType = transcoded.contentType;
+                }
+
                 // Get file stats
                 const stats = await statAsync(filePath);
                 const fileSize = stats.size;
 
                 // Set appropriate headers
-                const ext = path.extname(filePath).toLowerCase();
-                const contentType = this._getContentType(ext);
                 
                 res.set({
                     'Content-Type': contentType,
@@ -196,12 +211,181 @@ class StreamingServer {
             }
         });
 
+        // Cover art for a track, extracted and resized on first request
+        this.app.get('/art/:trackId', async (req, res) => {
+            try {
+                const trackId = parseInt(req.params.trackId);
+
+                if (isNaN(trackId)) {
+                    return res.status(400).json({ error: 'Invalid track ID' });
+                }
+
+                if (!this.albumArt) {
+                    return res.status(503).json({ error: 'Album art not available' });
+                }
+
+                const art = await this.albumArt.getArt(trackId);
+                if (!art) {
+                    return res.status(404).json({ error: 'No album art for this track' });
+                }
+
+                res.set({
+                    'Content-Type': art.contentType,
+                    'Cache-Control': 'public, max-age=86400'
+                });
+                res.sendFile(art.filePath);
+
+            } catch (error) {
+                this.logger.error('Album art error', {
+                    trackId: req.params.trackId,
+                    error: error.message
+                });
+
+                if (error.name === 'NotFoundError') {
+                    res.status(404).json({ error: 'Track not found' });
+                } else {
+                    res.status(500).json({ error: 'Internal server error' });
+                }
+            }
+        });
+
+        // Saved playlist as a playlist file whose entries are streaming URLs
+        this.app.get('/playlists/:playlistId.:format', (req, res) => {
+            try {
+                const playlistId = parseInt(req.params.playlistId);
+                const format = req.params.format.toLowerCase();
+
+                if (isNaN(playlistId)) {
+                    return res.status(400).json({ error: 'Invalid playlist ID' });
+                }
+
+                if (!this.playlistFiles) {
+                    return res.status(503).json({ error: 'Playlist export not available' });
+                }
+
+                if (!this.playlistFiles.getFormats().includes(format)) {
+                    return res.status(400).json({ error: `Unsupported playlist format: ${format}` });
+                }
+
+                const { content } = this.playlistFiles.exportPlaylist(playlistId, { format, locations: 'stream' });
+
+                res.set({
+                    'Content-Type': `${this.playlistFiles.getContentType(format)}; charset=utf-8`,
+                    'Cache-Control': 'no-cache'
+                });
+                res.send(content);
+
+            } catch (error) {
+                this.logger.error('Playlist export error', {
+                    playlistId: req.params.playlistId,
+                    error: error.message
+                });
+
+                if (error.name === 'NotFoundError') {
+                    res.status(404).json({ error: 'Playlist not found' });
+                } else {
+                    res.status(500).json({ error: 'Internal server error' });
+                }
+            }
+        });
+
         // 404 handler
         this.app.use('*', (req, res) => {
             res.status(404).json({ error: 'Endpoint not found' });
         });
     }
 
+    // Resolve ?format= to a file to serve (the original or a cached conversion). Returns null when the
+    // response was already handled: an error, or a conversion streamed live while it is being cached
+    async _prepareTranscode(req, res, track, format) {
+        if (!this.transcoder) {
+            res.status(503).json({ error: 'Transcoding not available' });
+            return null;
+        }
+
+        if (!this.transcoder.getFormats().includes(format)) {
+            res.status(400).json({ error: `Unsupported format: ${format} (use ${this.transcoder.getFormats().join(', ')})` });
+            return null;
+        }
+
+        if (this.transcoder.isSourceFormat(track.filepath, format)) {
+            return { filePath: track.filepath, contentType: this.transcoder.getContentType(format) };
+        }
+
+        // The probe normally finished at startup; a request arriving before that waits without blocking
+        await this.transcoder.probe();
+        if (!this.transcoder.isAvailable()) {
+            res.status(503).json({ error: this.transcoder.getUnavailableMessage(track.filepath) });
+            return null;
+        }
+
+        const contentType = this.transcoder.getContentType(format);
+        const cachedPath = await this.transcoder.getCachedFile(track, format);
+        if (cachedPath) {
+            return { filePath: cachedPath, contentType };
+        }
+
+        // The length is unknown until the conversion finishes, so live output cannot serve ranges
+        res.set({
+            'Content-Type': contentType,
+            'Accept-Ranges': 'none',
+            'Cache-Control': 'no-cache'
+        });
+
+        if (req.method === 'HEAD') {
+            res.end();
+            return null;
+        }
+
+        const stream = this.transcoder.transcode(track, format);
+        res.on('close', () => stream.destroy());
+        stream.on('error', () => res.destroy());
+        stream.pipe(res);
+
+        this.logger.debug('Streaming live transcode', { trackId: track.id, format });
+        return null;
+    }
+
+    // Chromecast fetches are recorded from its status updates; HEAD and mid-file ranges are seeks, not plays.
+    // Every response of a play reports what it actually sent when it finishes or the client goes away
+    _recordStreamPlay(req, res, track) {
+        if (!this.playHistory || req.method === 'HEAD') return;
+
+        const userAgent = req.headers['user-agent'] || '';
+        if (userAgent.includes('CrKey')) return;
+
+        const rangeStart = parseInt((req.headers.range || '').replace(/bytes=/, '').split('-')[0], 10);
+        if (!(rangeStart > 0)) {
+            this.playHistory.recordStreamRequest(track.id, req.ip);
+        }
+
+        if (!this.playHistory.streamOpened(track.id, req.ip)) return;
+
+        // Keep-alive connections carry one response at a time, so the socket's count covers this one
+        const socket = req.socket;
+        const bytesBefore = socket.bytesWritten;
+        const openedAt = Date.now();
+
+        res.once('close', () => {
+            this.playHistory.streamClosed(track.id, req.ip, {
+                bytes: socket.bytesWritten - bytesBefore,
+                fileSize: this._servedFileSize(res),
+                elapsedMs: Date.now() - openedAt
+            });
+        });
+    }
+
+    // Size of the whole file behind a response, or null when it is not known (errors, live transcodes)
+    _servedFileSize(res) {
+        const contentRange = res.getHeader('Content-Range');
+        if (contentRange) {
+            return parseInt(String(contentRange).split('/')[1], 10) || null;
+        }
+
+        if (res.statusCode !== 200) return null;
+        return parseInt(res.getHeader('Content-Length'), 10) || null;
+    }
+
     _getContentType(ext) {
         const contentTypes = {
             '.mp3': 'audio/mpeg',
@@ -0,0 +1,183 @@
+/**
+ * Album Art Service
+ * Finds cover art for tracks (embedded picture, then an image beside the file) and keeps resized copies under data/art
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseFile } = require('music-metadata');
+
+// sharp is an optional dependency; without it cached covers keep their original size
+let sharp = null;
+try {
+    sharp = require('sharp');
+} catch (error) {
+    sharp = null;
+}
+
+// Image files checked in the track's directory, in order of preference
+const FOLDER_IMAGE_NAMES = ['cover', 'folder', 'front', 'album', 'albumart'];
+const FOLDER_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.png': 'image/png',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif'
+};
+
+class AlbumArtService {
+    constructor(config, databaseService, logger) {
+        this.config = config;
+        this.database = databaseService;
+        this.logger = logger || console;
+
+        this.cacheDir = path.join(config.getDataDirectory(), 'art');
+        this.size = config.albumArt.size;
+        this.canResize = sharp !== null;
+
+        // Lookups per track version ("id:last_modified"): cached image path, or null when the track has no art
+        this.resolved = new Map();
+        this.pending = new Map();
+    }
+
+    // Cached cover for a track: { filePath, contentType }, or null when none can be found
+    async getArt(trackId) {
+        const track = this.database.getTrackById(trackId);
+        const key = `${track.id}:${track.last_modified}`;
+
+        if (this.resolved.has(key)) {
+            const filePath = this.resolved.get(key);
+            if (filePath === null || fs.existsSync(filePath)) {
+                return this._toArt(filePath);
+            }
+        }
+
+        if (!this.pending.has(key)) {
+            const lookup = this._resolveArt(track)
+                .then(filePath => {
+                    this.resolved.set(key, filePath);
+                    return filePath;
+                })
+                .finally(() => this.pending.delete(key));
+
+            this.pending.set(key, lookup);
+        }
+
+        return this._toArt(await this.pending.get(key));
+    }
+
+    // Whether an earlier lookup found art for this version of the track; null when it was never looked up
+    knownArt(track) {
+        const key = `${track.id}:${track.last_modified}`;
+        return this.resolved.has(key) ? this.resolved.get(key) !== null : null;
+    }
+
+    async _resolveArt(track) {
+        const source = await this._findSource(track);
+        if (!source) {
+            return null;
+        }
+
+        // Tracks of one album share a picture, so the cache is keyed by image content
+        const hash = crypto.createHash('sha1').update(source.data).digest('hex');
+        const ext = this.canResize ? '.jpg' : source.ext;
+        const filePath = path.join(this.cacheDir, `${hash}-${this.size}${ext}`);
+
+        if (!fs.existsSync(filePath)) {
+            await this._writeCached(source.data, filePath);
+        }
+
+        return filePath;
+    }
+
+    async _findSource(track) {
+        try {
+            const metadata = await parseFile(track.filepath, { duration: false, skipCovers: false });
+            const picture = metadata.common.picture?.find(pic => /front/i.test(pic.type || ''))
+                || metadata.common.picture?.[0];
+
+            if (picture) {
+                return { data: picture.data, ext: this._extensionForFormat(picture.format) };
+            }
+
+        } catch (error) {
+            this.logger.debug('Failed to read embedded art', { trackId: track.id, error: error.message });
+        }
+
+        const imagePath = AlbumArtService.findFolderImage(path.dirname(track.filepath));
+        if (imagePath) {
+            return { data: await fs.promises.readFile(imagePath), ext: this._extensionForFormat(path.extname(imagePath)) };
+        }
+
+        return null;
+    }
+
+    // Case-insensitive match against the usual cover file names
+    static findFolderImage(directory) {
+        let entries;
+        try {
+            entries = fs.readdirSync(directory);
+        } catch (error) {
+            return null;
+        }
+
+        const byName = new Map(entries.map(entry => [entry.toLowerCase(), entry]));
+        for (const name of FOLDER_IMAGE_NAMES) {
+            for (const ext of FOLDER_IMAGE_EXTENSIONS) {
+                const entry = byName.get(`${name}${ext}`);
+                if (entry) {
+                    return path.join(directory, entry);
+                }
+            }
+        }
+
+        return null;
+    }
+
+    // Write through a temp file so a concurrent request never serves a half-written image.
+    // Tracks sharing a cover can write the same file at once, so each write gets its own temp name
+    async _writeCached(data, filePath) {
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            if (this.canResize) {
+                await sharp(data)
+                    .resize(this.size, this.size, { fit: 'inside', withoutEnlargement: true })
+                    .jpeg({ quality: 85 })
+                    .toFile(tempPath);
+            } else {
+                await fs.promises.writeFile(tempPath, data);
+            }
+
+            await fs.promises.rename(tempPath, filePath);
+
+        } catch (error) {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        }
+    }
+
+    _extensionForFormat(format) {
+        const value = (format || '').toLowerCase();
+        if (value.includes('png')) return '.png';
+        if (value.includes('webp')) return '.webp';
+        if (value.includes('gif')) return '.gif';
+        return '.jpg';
+    }
+
+    _toArt(filePath) {
+        if (!filePath) {
+            return null;
+        }
+
+        return {
+            filePath,
+            contentType: CONTENT_TYPES[path.extname(filePath)] || 'image/jpeg'
+        };
+    }
+}
+
+module.exports = AlbumArtService;
@@ -0,0 +1,1258 @@
+/**
+ * Chromecast Session
+ * One connected Cast device: its client, media receiver and native queue
+ */
+
+const Client = require('castv2-client').Client;
+const DefaultMediaReceiver = require('castv2-client').DefaultMediaReceiver;
+const { ChromecastError, ValidationError } = require('../utils/errors');
+const Validator = require('../utils/validator');
+
+// Receivers answer QUEUE_GET_ITEMS for a limited number of items at a time
+const QUEUE_ITEMS_BATCH = 20;
+
+class ChromecastSession {
+    constructor(device, config, logger, connectionManager, playHistory = null) {
+        this.device = device;
+        this.config = config;
+        this.logger = logger || console;
+        this.connectionManager = connectionManager;
+        this.playHistory = playHistory;
+
+        // Cast client and media receiver
+        this.client = null;
+        this.player = null;
+        this.currentStatus = this._getDefaultStatus();
+        this.statusReceivedAt = null;
+
+        // Native queue management
+        this.queueItems = [];
+        this.currentItemId = null;
+        this.repeatMode = 'REPEAT_OFF'; // REPEAT_OFF, REPEAT_ALL, REPEAT_SINGLE
+        this.shuffle = false;
+        this.originalOrder = null; // item IDs in play order from before the queue was shuffled
+
+        // Play history: receiver item IDs mapped to library track IDs, and the item being recorded
+        this.itemTrackIds = new Map();
+        this.historyItemKey = null;
+    }
+
+    _getDefaultStatus() {
+        return {
+            mediaSessionId: null,
+            playbackRate: 1,
+            playerState: 'IDLE',
+            currentTime: 0,
+            volume: null,
+            media: null,
+            currentItemId: null,
+            loadingItemId: null,
+            preloadedItemId: null,
+            repeatMode: 'REPEAT_OFF'
+        };
+    }
+
+    async connect() {
+        const deviceName = this.device.name;
+
+        try {
+            this.logger.info('Connecting to Chromecast device with queue support', { deviceName });
+
+            // Create new client connection
+            this.client = new Client();
+
+            // Connect to device
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new ChromecastError(`Connection timeout for device '${deviceName}'`));
+                }, 15000);
+
+                this.client.connect(this.device.host, () => {
+                    clearTimeout(timeout);
+                    this.logger.info('Connected to Chromecast device', { deviceName });
+                    resolve();
+                });
+
+                this.client.on('error', (err) => {
+                    clearTimeout(timeout);
+                    reject(new ChromecastError(`Connection failed: ${err.message}`));
+                });
+            });
+
+            // Launch default media receiver
+            await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new ChromecastError('Failed to launch media receiver'));
+                }, 10000);
+
+                this.client.launch(DefaultMediaReceiver, (err, player) => {
+                    clearTimeout(timeout);
+                    
+                    if (err) {
+                        reject(new ChromecastError(`Failed to launch receiver: ${err.message}`));
+                        return;
+                    }
+
+                    this.player = player;
+                    this._setupPlayerEventHandlers();
+                    
+                    this.logger.info('Media receiver launched successfully', { deviceName });
+                    resolve();
+                });
+            });
+
+            // Save connection state
+            this.connectionManager.saveConnectionState({ 
+                deviceName, 
+                connectedAt: Date.now() 
+            });
+
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to connect to device', { deviceName, error: error.message });
+            await this.disconnect();
+            if (error instanceof ChromecastError) throw error;
+            throw new ChromecastError(`Failed to connect to '${deviceName}': ${error.message}`);
+        }
+    }
+
+    _setupPlayerEventHandlers() {
+        if (!this.player) return;
+
+        // Status updates
+        this.player.on('status', (status) => {
+            this._handleStatusUpdate(status);
+        });
+
+        // Queue change events
+        this.player.on('queue-change', (data) => {
+            this.logger.info('Queue changed', { 
+                currentItemId: data.currentItemId,
+                items: data.items?.length || 0
+            });
+            this._handleQueueChange(data);
+        });
+
+        this.player.on('close', () => {
+            this.logger.warn('Player connection closed');
+            this.player = null;
+        });
+
+        this.player.on('error', (err) => {
+            this.logger.error('Player error', { error: err.message });
+        });
+    }
+
+    _handleStatusUpdate(status) {
+        this.currentStatus = status;
+        this.statusReceivedAt = Date.now();
+        
+        this.logger.info('Chromecast status update', {
+            playerState: status.playerState,
+            currentTime: status.currentTime,
+            currentItemId: status.currentItemId,
+            loadingItemId: status.loadingItemId,
+            preloadedItemId: status.preloadedItemId,
+            repeatMode: status.repeatMode,
+            queueData: status.queueData ? {
+                currentItemId: status.queueData.currentItemId,
+                startIndex: status.queueData.startIndex,
+                items: status.queueData.items?.length || 0
+            } : null
+        });
+
+        // Update our queue state
+        if (status.currentItemId !== this.currentItemId) {
+            this.currentItemId = status.currentItemId;
+            this.logger.info('Current item changed', { newItemId: this.currentItemId });
+            
+            // Force visible output for LM Studio debugging
+            console.error(`🎵 QUEUE ADVANCE: Current item changed to ${this.currentItemId}`);
+            console.error(`🎵 PLAYER STATE: ${status.playerState}`);
+        }
+
+        this._recordPlayback(status);
+        this._saveQueueState();
+
+        // Save connection state
+        try {
+            this.connectionManager.saveConnectionState({
+                deviceName: this.device.name,
+                status: this._sanitizeStatus(status),
+                lastSeen: Date.now()
+            });
+        } catch (error) {
+            this.logger.error('Failed to save connection state', { error: error.message });
+        }
+    }
+
+    // Cast MusicTrackMediaMetadata (metadataType 3); receivers show album, track number and year from it
+    _buildMusicMetadata(track, fallbackTitle) {
+        return {
+            type: 3,
+            metadataType: 3,
+            title: track.title || fallbackTitle,
+            artist: track.artist || 'Unknown Artist',
+            albumName: track.album || undefined,
+            albumArtist: track.albumArtist || undefined,
+            composer: track.composer || undefined,
+            trackNumber: track.trackNumber || undefined,
+            discNumber: track.discNumber || undefined,
+            releaseDate: track.year ? String(track.year) : undefined,
+            images: track.albumArt ? [{ url: track.albumArt }] : undefined
+        };
+    }
+
+    // Feed play history: a new current item starts a play, an idle reason ends it
+    _recordPlayback(status) {
+        if (!this.playHistory || !status) return;
+
+        const deviceName = this.device.name;
+
+        for (const item of status.items || []) {
+            const trackId = this._trackIdFromMedia(item.media);
+            if (trackId) this.itemTrackIds.set(item.itemId, trackId);
+        }
+
+        const mediaTrackId = this._trackIdFromMedia(status.media);
+        if (mediaTrackId && status.currentItemId) {
+            this.itemTrackIds.set(status.currentItemId, mediaTrackId);
+        }
+
+        const isPlaying = status.playerState === 'PLAYING' || status.playerState === 'BUFFERING';
+        const itemKey = status.currentItemId || status.media?.contentId || null;
+
+        if (isPlaying && itemKey && itemKey !== this.historyItemKey) {
+            const trackId = this.itemTrackIds.get(status.currentItemId) || mediaTrackId;
+            if (trackId) {
+                this.historyItemKey = itemKey;
+                this.playHistory.trackStarted(trackId, { deviceName, source: 'chromecast' });
+            }
+        }
+
+        if (status.playerState === 'IDLE' && status.idleReason) {
+            this.playHistory.trackEnded(deviceName, { completed: status.idleReason === 'FINISHED' ? true : null });
+            this.historyItemKey = null;
+        } else if (status.playerState) {
+            this.playHistory.setPlaying(deviceName, isPlaying);
+        }
+    }
+
+    // Queue items carry the track ID in customData; plain loads still have our /stream/<id> URL
+    _trackIdFromMedia(media) {
+        if (!media) return null;
+
+        const customTrackId = media.customData?.trackId;
+        if (Number.isInteger(customTrackId)) return customTrackId;
+
+        const match = (media.contentId || '').match(/\/stream\/(\d+)/);
+        return match ? parseInt(match[1], 10) : null;
+    }
+
+    _handleQueueChange(data) {
+        if (data.items) {
+            this.queueItems = data.items;
+        }
+        
+        if (data.currentItemId !== undefined) {
+            this.currentItemId = data.currentItemId;
+        }
+
+        this.logger.info('Queue state updated', {
+            itemCount: this.queueItems.length,
+            currentItemId: this.currentItemId
+        });
+
+        this._saveQueueState();
+    }
+
+    // Persist the queue so resume_session can rebuild it after a restart
+    _saveQueueState() {
+        const snapshot = this.getQueueSnapshot();
+        if (snapshot) {
+            this.connectionManager.saveQueueState(snapshot);
+        }
+    }
+
+    // Device, track IDs, current index and position of the live queue; null when nothing is queued
+    getQueueSnapshot() {
+        if (this.queueItems.length === 0) return null;
+
+        const positions = new Map(this.queueItems.map((item, index) => [item.itemId, index]));
+
+        return {
+            deviceName: this.device.name,
+            trackIds: this.queueItems.map(item => this._trackIdFromMedia(item.media)),
+            currentIndex: Math.max(0, this.queueItems.findIndex(item => item.itemId === this.currentItemId)),
+            currentTime: this._estimateCurrentTime(),
+            repeatMode: this.repeatMode,
+            shuffle: this.shuffle,
+            // Pre-shuffle order as queue positions, since item IDs change when the queue is rebuilt
+            originalOrder: this.originalOrder
+                ? this.originalOrder.filter(itemId => positions.has(itemId)).map(itemId => positions.get(itemId))
+                : null
+        };
+    }
+
+    // Receivers only report currentTime on state changes; add the time played since the last status
+    _estimateCurrentTime() {
+        let currentTime = this.currentStatus?.currentTime || 0;
+
+        if (this.currentStatus?.playerState === 'PLAYING' && this.statusReceivedAt) {
+            currentTime += (Date.now() - this.statusReceivedAt) / 1000;
+        }
+
+        return Math.round(currentTime * 10) / 10;
+    }
+    async createQueue(tracks, options = {}) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        if (!Array.isArray(tracks) || tracks.length === 0) {
+            throw new ChromecastError('Invalid tracks array');
+        }
+
+        // originalOrder (pre-shuffle order as queue positions) rebuilds a shuffled queue
+        const { startIndex = 0, currentTime = 0, repeatMode = this.repeatMode, originalOrder = null } = options;
+
+        try {
+            this.logger.info('Creating native Chromecast queue', { trackCount: tracks.length, startIndex });
+
+            // Convert tracks to Cast queue items (DO NOT include itemId - Cast assigns automatically)
+            const queueItems = tracks.map((track, index) => {
+                return {
+                    media: {
+                        contentId: track.url,
+                        contentType: track.contentType || 'audio/mpeg',
+                        streamType: 'BUFFERED',
+                        customData: { trackId: track.trackId || track.id },
+                        metadata: this._buildMusicMetadata(track, `Track ${index + 1}`)
+                    },
+                    autoplay: true,
+                    preloadTime: 20 // Preload 20 seconds before track ends
+                };
+            });
+
+            this.logger.info('Loading queue with correct parameter structure', {
+                trackCount: tracks.length,
+                firstTrack: tracks[0]?.title,
+                repeatMode
+            });
+
+            const result = await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new ChromecastError('Queue load timeout'));
+                }, 30000);
+
+                // Use correct queueLoad parameters: items, options, callback
+                this.player.queueLoad(queueItems, {
+                    startIndex,
+                    repeatMode,
+                    currentTime
+                }, (err, status) => {
+                    clearTimeout(timeout);
+                    
+                    if (err) {
+                        this.logger.error('Queue load failed with error', { 
+                            error: err.message,
+                            errorCode: err.code,
+                            itemCount: queueItems.length
+                        });
+                        console.error(`❌ QUEUE LOAD FAILED: ${err.message}`);
+                        reject(new ChromecastError(`Failed to load queue: ${err.message}`));
+                        return;
+                    }
+
+                    this.logger.info('Queue loaded successfully with native Cast functionality', {
+                        itemCount: queueItems.length,
+                        currentItemId: status?.currentItemId,
+                        playerState: status?.playerState,
+                        queueData: status?.queueData
+                    });
+                    
+                    // Force visible output for LM Studio debugging
+                    console.error(`✅ QUEUE LOADED: ${queueItems.length} tracks, currentItemId: ${status?.currentItemId}`);
+                    console.error(`✅ QUEUE STATE: ${status?.playerState}, startIndex: ${startIndex}`);
+
+                    resolve(status);
+                });
+            });
+
+            // The previous status belongs to the old queue
+            this.currentStatus = result || { ...this._getDefaultStatus(), currentTime };
+            this.statusReceivedAt = Date.now();
+
+            // The queue is playing now, so failing to read its item IDs back is not a failed load;
+            // the items keep no IDs until the next queue change reads them again
+            this.itemTrackIds.clear();
+            try {
+                await this._syncQueueItems(queueItems, []);
+            } catch (error) {
+                this.logger.warn('Failed to read queue item IDs after load', { error: error.message });
+                this.queueItems = queueItems;
+            }
+            this.currentItemId = result?.currentItemId || this.queueItems[startIndex]?.itemId || 1;
+            this.repeatMode = repeatMode;
+            this.shuffle = Array.isArray(originalOrder);
+            this.originalOrder = this.shuffle
+                ? originalOrder.map(position => this.queueItems[position]?.itemId).filter(itemId => itemId !== undefined)
+                : null;
+
+            this._saveQueueState();
+
+            return {
+                status: 'success',
+                message: `Queue created with ${tracks.length} tracks using native Cast queue`,
+                queueSize: tracks.length,
+                currentTrack: tracks[startIndex],
+                usingNativeQueue: true
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to create queue', { error: error.message });
+            throw new ChromecastError(`Queue creation failed: ${error.message}`);
+        }
+    }
+
+    // insertAt is the 0-based queue position for the first new track; omitted, tracks are appended
+    async addToQueue(tracks, { insertAt = null } = {}) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        if (!Array.isArray(tracks)) {
+            tracks = [tracks];
+        }
+
+        const position = insertAt === null ? this.queueItems.length : insertAt;
+        if (!Number.isInteger(position) || position < 0 || position > this.queueItems.length) {
+            throw new ValidationError(`Queue position must be between 0 and ${this.queueItems.length}`, 'index');
+        }
+
+        // The receiver inserts before an existing item ID; none means the end of the queue
+        const insertBefore = this.queueItems[position]?.itemId;
+
+        try {
+            // Convert tracks to Cast queue items (DO NOT include itemId - Cast assigns automatically)
+            const queueItems = tracks.map((track, index) => {
+                return {
+                    media: {
+                        contentId: track.url,
+                        contentType: track.contentType || 'audio/mpeg',
+                        streamType: 'BUFFERED',
+                        customData: { trackId: track.trackId || track.id },
+                        metadata: this._buildMusicMetadata(track, `Track ${this.queueItems.length + index + 1}`)
+                    },
+                    autoplay: true,
+                    preloadTime: 20
+                };
+            });
+
+            // Insert items into queue
+            await new Promise((resolve, reject) => {
+                this.player.queueInsert(queueItems, {
+                    insertBefore
+                }, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Failed to add to queue: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            await this._syncQueueItems(queueItems);
+
+            // Keep inserted tracks at the same spot when a shuffled queue is restored
+            if (this.originalOrder) {
+                const newIds = queueItems.map(item => item.itemId);
+                const restoreIndex = insertBefore !== undefined ? this.originalOrder.indexOf(insertBefore) : -1;
+                this.originalOrder.splice(restoreIndex === -1 ? this.originalOrder.length : restoreIndex, 0, ...newIds);
+            }
+
+            this._saveQueueState();
+
+            this.logger.info('Added tracks to native queue', { 
+                added: tracks.length, 
+                position,
+                totalQueueSize: this.queueItems.length 
+            });
+
+            return {
+                status: 'success',
+                message: position === this.queueItems.length - queueItems.length
+                    ? `Added ${tracks.length} track(s) to native queue`
+                    : `Inserted ${tracks.length} track(s) at queue position ${position}`,
+                position,
+                queueSize: this.queueItems.length
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to add to queue', { error: error.message });
+            throw new ChromecastError(`Add to queue failed: ${error.message}`);
+        }
+    }
+
+    // index is the 0-based queue position
+    async removeFromQueue(index) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        if (!Number.isInteger(index) || index < 0 || index >= this.queueItems.length) {
+            throw new ValidationError(`Queue index must be between 0 and ${this.queueItems.length - 1}`, 'index');
+        }
+
+        const item = this.queueItems[index];
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queueRemove([item.itemId], {}, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Failed to remove from queue: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.queueItems.splice(index, 1);
+            this.itemTrackIds.delete(item.itemId);
+            if (this.originalOrder) {
+                this.originalOrder = this.originalOrder.filter(itemId => itemId !== item.itemId);
+            }
+            this._saveQueueState();
+
+            this.logger.info('Removed item from native queue', { index, itemId: item.itemId });
+
+            return {
+                status: 'success',
+                message: `Removed '${item.media.metadata.title}' from the queue`,
+                queueSize: this.queueItems.length
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to remove from queue', { index, error: error.message });
+            throw new ChromecastError(`Remove from queue failed: ${error.message}`);
+        }
+    }
+
+    async clearQueue() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        if (this.queueItems.length === 0) {
+            return { status: 'success', message: 'Queue is already empty', queueSize: 0 };
+        }
+
+        try {
+            const itemIds = this.queueItems.map(item => item.itemId);
+
+            await new Promise((resolve, reject) => {
+                this.player.queueRemove(itemIds, {}, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Failed to clear queue: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.queueItems = [];
+            this.currentItemId = null;
+            this.shuffle = false;
+            this.originalOrder = null;
+            this.itemTrackIds.clear();
+            this.connectionManager.clearQueueState(this.device.name);
+
+            this.logger.info('Cleared native queue', { removed: itemIds.length });
+
+            return {
+                status: 'success',
+                message: `Cleared ${itemIds.length} track(s) from the queue`,
+                queueSize: 0
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to clear queue', { error: error.message });
+            throw new ChromecastError(`Clear queue failed: ${error.message}`);
+        }
+    }
+
+    // Shuffle the tracks after the current one; the order before the first shuffle is kept for restore
+    async shuffleQueue() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        const currentIndex = Math.max(0, this.queueItems.findIndex(item => item.itemId === this.currentItemId));
+        const played = this.queueItems.slice(0, currentIndex + 1);
+        const upcoming = this.queueItems.slice(currentIndex + 1);
+
+        if (upcoming.length < 2) {
+            return { status: 'success', message: 'Not enough upcoming tracks to shuffle', queueSize: this.queueItems.length };
+        }
+
+        for (let i = upcoming.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [upcoming[i], upcoming[j]] = [upcoming[j], upcoming[i]];
+        }
+
+        const originalOrder = this.originalOrder || this.queueItems.map(item => item.itemId);
+        await this._reorderQueue([...played, ...upcoming], 'Shuffle');
+
+        this.shuffle = true;
+        this.originalOrder = originalOrder;
+        this._saveQueueState();
+
+        return {
+            status: 'success',
+            message: `Shuffled ${upcoming.length} upcoming track(s)`,
+            queueSize: this.queueItems.length,
+            shuffle: true
+        };
+    }
+
+    // Put the queue back in its pre-shuffle order
+    async restoreQueueOrder() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        if (!this.originalOrder) {
+            return { status: 'success', message: 'Queue is not shuffled', queueSize: this.queueItems.length };
+        }
+
+        const byId = new Map(this.queueItems.map(item => [item.itemId, item]));
+        const restored = this.originalOrder.filter(itemId => byId.has(itemId)).map(itemId => byId.get(itemId));
+        const added = this.queueItems.filter(item => !this.originalOrder.includes(item.itemId));
+
+        await this._reorderQueue([...restored, ...added], 'Restore');
+
+        this.shuffle = false;
+        this.originalOrder = null;
+        this._saveQueueState();
+
+        return {
+            status: 'success',
+            message: 'Restored the original queue order',
+            queueSize: this.queueItems.length,
+            shuffle: false
+        };
+    }
+
+    // Move one item between 0-based queue positions with a single QUEUE_REORDER
+    async moveQueueItem(fromIndex, toIndex) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        const lastIndex = this.queueItems.length - 1;
+        if (!Number.isInteger(fromIndex) || fromIndex < 0 || fromIndex > lastIndex) {
+            throw new ValidationError(`Queue index must be between 0 and ${lastIndex}`, 'index');
+        }
+        if (!Number.isInteger(toIndex) || toIndex < 0 || toIndex > lastIndex) {
+            throw new ValidationError(`Target queue index must be between 0 and ${lastIndex}`, 'to_index');
+        }
+
+        if (fromIndex === toIndex) {
+            return { status: 'success', message: 'Track is already at that position', queueSize: this.queueItems.length };
+        }
+
+        const reordered = [...this.queueItems];
+        const [item] = reordered.splice(fromIndex, 1);
+        reordered.splice(toIndex, 0, item);
+
+        try {
+            // Place it before whatever now follows it; nothing following means the end of the queue
+            const insertBefore = reordered[toIndex + 1]?.itemId;
+
+            await new Promise((resolve, reject) => {
+                this.player.queueReorder([item.itemId], { insertBefore }, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Failed to move queue item: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.queueItems = reordered;
+            this._saveQueueState();
+            this.logger.info('Moved queue item', { itemId: item.itemId, fromIndex, toIndex });
+
+            return {
+                status: 'success',
+                message: `Moved '${item.media.metadata.title}' to queue position ${toIndex}`,
+                queueSize: this.queueItems.length
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to move queue item', { fromIndex, toIndex, error: error.message });
+            throw new ChromecastError(`Move failed: ${error.message}`);
+        }
+    }
+
+    // QUEUE_REORDER with every item ID sets the complete order; the current item keeps playing
+    async _reorderQueue(orderedItems, label) {
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queueReorder(orderedItems.map(item => item.itemId), {}, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`${label} failed: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.queueItems = orderedItems;
+            this.logger.info('Reordered native queue', { action: label, queueSize: orderedItems.length });
+
+        } catch (error) {
+            this.logger.error('Failed to reorder queue', { action: label, error: error.message });
+            throw new ChromecastError(`${label} failed: ${error.message}`);
+        }
+    }
+
+    // Rebuild queueItems from the receiver's queue after a load or insert. The receiver assigns item IDs
+    // and never reuses them, so they are read back rather than predicted. Known items keep their ID;
+    // newItems (sent without one) are matched to the receiver's items by track ID or URL
+    async _syncQueueItems(newItems, knownItems = this.queueItems) {
+        const receiverItems = await this._fetchReceiverItems();
+
+        const known = new Map(knownItems.map(item => [item.itemId, item]));
+        const unmatched = [...newItems];
+
+        this.queueItems = receiverItems.map(receiverItem => {
+            if (known.has(receiverItem.itemId)) {
+                return known.get(receiverItem.itemId);
+            }
+
+            const key = this._mediaKey(receiverItem.media);
+            const index = unmatched.findIndex(item => this._mediaKey(item.media) === key);
+            const item = index === -1 ? receiverItem : unmatched.splice(index, 1)[0];
+
+            item.itemId = receiverItem.itemId;
+            return item;
+        });
+
+        for (const item of this.queueItems) {
+            const trackId = this._trackIdFromMedia(item.media);
+            if (trackId) this.itemTrackIds.set(item.itemId, trackId);
+        }
+
+        if (unmatched.length > 0) {
+            this.logger.warn('Receiver queue is missing sent items', { missing: unmatched.length });
+        }
+    }
+
+    _mediaKey(media) {
+        return this._trackIdFromMedia(media) || media?.contentId || null;
+    }
+
+    // Queue items in receiver order, from QUEUE_GET_ITEM_IDS then QUEUE_GET_ITEMS in batches
+    async _fetchReceiverItems() {
+        const { itemIds = [] } = await this._mediaRequest({ type: 'QUEUE_GET_ITEM_IDS' });
+
+        const items = new Map();
+        for (let start = 0; start < itemIds.length; start += QUEUE_ITEMS_BATCH) {
+            const response = await this._mediaRequest({
+                type: 'QUEUE_GET_ITEMS',
+                itemIds: itemIds.slice(start, start + QUEUE_ITEMS_BATCH)
+            });
+
+            for (const item of response.items || []) {
+                items.set(item.itemId, item);
+            }
+        }
+
+        return itemIds.map(itemId => items.get(itemId) || { itemId });
+    }
+
+    // Media channel request castv2-client has no helper for
+    _mediaRequest(data) {
+        const media = this.player.media;
+        const mediaSessionId = this.currentStatus?.mediaSessionId || media.currentSession?.mediaSessionId;
+
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new ChromecastError(`${data.type} timeout`));
+            }, 10000);
+
+            media.request({ ...data, mediaSessionId }, (err, response) => {
+                clearTimeout(timeout);
+
+                if (err) {
+                    reject(new ChromecastError(`${data.type} failed: ${err.message}`));
+                    return;
+                }
+                resolve(response);
+            });
+        });
+    }
+
+    async skipToNext() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queueNext((err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Skip to next failed: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.logger.info('Skipped to next track using native queue');
+            
+            return { 
+                status: 'success', 
+                message: 'Skipped to next track',
+                usingNativeQueue: true
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to skip to next', { error: error.message });
+            throw new ChromecastError(`Skip failed: ${error.message}`);
+        }
+    }
+
+    async skipToPrevious() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queuePrev((err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Skip to previous failed: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.logger.info('Skipped to previous track using native queue');
+            
+            return { 
+                status: 'success', 
+                message: 'Skipped to previous track',
+                usingNativeQueue: true
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to skip to previous', { error: error.message });
+            throw new ChromecastError(`Skip to previous failed: ${error.message}`);
+        }
+    }
+
+    async jumpToItem(itemId) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queueJump(itemId, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Jump to item failed: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.logger.info('Jumped to queue item', { itemId });
+            
+            return { 
+                status: 'success', 
+                message: `Jumped to item ${itemId}`,
+                usingNativeQueue: true
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to jump to item', { itemId, error: error.message });
+            throw new ChromecastError(`Jump to item failed: ${error.message}`);
+        }
+    }
+
+    async setRepeatMode(mode) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        // Convert from our format to Cast format
+        const castModes = {
+            'none': 'REPEAT_OFF',
+            'one': 'REPEAT_SINGLE', 
+            'all': 'REPEAT_ALL'
+        };
+
+        const castMode = castModes[mode] || mode;
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.queueSetRepeatMode(castMode, (err, status) => {
+                    if (err) {
+                        reject(new ChromecastError(`Set repeat mode failed: ${err.message}`));
+                        return;
+                    }
+                    resolve(status);
+                });
+            });
+
+            this.repeatMode = castMode;
+            this._saveQueueState();
+            this.logger.info('Set repeat mode', { mode: castMode });
+            
+            return {
+                status: 'success',
+                message: `Repeat mode set to: ${mode}`,
+                repeatMode: castMode
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to set repeat mode', { mode, error: error.message });
+            throw new ChromecastError(`Set repeat mode failed: ${error.message}`);
+        }
+    }
+
+    async pause() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.pause((err) => {
+                    if (err) {
+                        reject(new ChromecastError(`Pause failed: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+
+            this.logger.info('Playback paused');
+            return { 
+                status: 'success', 
+                message: 'Playback paused',
+                playerState: 'PAUSED'
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to pause', { error: error.message });
+            throw new ChromecastError(`Pause failed: ${error.message}`);
+        }
+    }
+
+    async resume() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.play((err) => {
+                    if (err) {
+                        reject(new ChromecastError(`Resume failed: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+
+            this.logger.info('Playback resumed');
+            return { 
+                status: 'success', 
+                message: 'Playback resumed',
+                playerState: 'PLAYING'
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to resume', { error: error.message });
+            throw new ChromecastError(`Resume failed: ${error.message}`);
+        }
+    }
+
+    async stop() {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.stop((err) => {
+                    if (err) {
+                        reject(new ChromecastError(`Stop failed: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+
+            // Clear queue state; the saved copy stays for resume_session
+            this._saveQueueState();
+            this.queueItems = [];
+            this.currentItemId = null;
+
+            this.logger.info('Playback stopped and queue cleared');
+            return { 
+                status: 'success', 
+                message: 'Playback stopped',
+                playerState: 'IDLE'
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to stop', { error: error.message });
+            throw new ChromecastError(`Stop failed: ${error.message}`);
+        }
+    }
+
+    async setVolume(level) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            Validator.isVolume(level);
+
+            await new Promise((resolve, reject) => {
+                this.player.setVolume({ level }, (err) => {
+                    if (err) {
+                        reject(new ChromecastError(`Set volume failed: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+
+            this.logger.info('Volume set', { level });
+            return {
+                status: 'success',
+                message: `Volume set to ${Math.round(level * 100)}%`,
+                volume: level
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to set volume', { level, error: error.message });
+            throw new ChromecastError(`Volume control failed: ${error.message}`);
+        }
+    }
+
+    async seek(position) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            await new Promise((resolve, reject) => {
+                this.player.seek(position, (err) => {
+                    if (err) {
+                        reject(new ChromecastError(`Seek failed: ${err.message}`));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+
+            this.logger.info('Seeked to position', { position });
+            return { 
+                status: 'success', 
+                message: `Seeked to ${position} seconds`,
+                position
+            };
+
+        } catch (error) {
+            this.logger.error('Failed to seek', { position, error: error.message });
+            throw new ChromecastError(`Seek failed: ${error.message}`);
+        }
+    }
+
+    // track is a queue item as built by ChromecastController (title, artist, album, albumArt, ...)
+    async playMedia(contentId, contentType, track = {}) {
+        if (!this.player) {
+            throw new ChromecastError('No media player available');
+        }
+
+        try {
+            this.logger.info('Playing single media item', { contentId, contentType, title: track.title });
+
+            const mediaInfo = {
+                contentId: contentId,
+                contentType: contentType || 'audio/mpeg',
+                streamType: 'BUFFERED',
+                customData: track.trackId ? { trackId: track.trackId } : undefined,
+                metadata: this._buildMusicMetadata(track, 'Unknown Track')
+            };
+
+            const result = await new Promise((resolve, reject) => {
+                const timeout = setTimeout(() => {
+                    reject(new ChromecastError('Media load timeout'));
+                }, 15000);
+
+                this.player.load(mediaInfo, { autoplay: true }, (err, status) => {
+                    clearTimeout(timeout);
+                    
+                    if (err) {
+                        this.logger.error('Media load failed', { error: err.message, contentId });
+                        reject(new ChromecastError(`Failed to load media: ${err.message}`));
+                        return;
+                    }
+
+                    this.logger.info('Media loaded successfully', {
+                        contentId,
+                        playerState: status?.playerState
+                    });
+
+                    resolve(status);
+                });
+            });
+
+            return true;
+
+        } catch (error) {
+            this.logger.error('Failed to play media', { contentId, error: error.message });
+            throw new ChromecastError(`Media playback failed: ${error.message}`);
+        }
+    }
+
+    // Library track ID of the playing item: queue items carry it in customData, plain loads in the stream URL
+    getCurrentTrackId() {
+        if (this.currentItemId && this.itemTrackIds.has(this.currentItemId)) {
+            return this.itemTrackIds.get(this.currentItemId);
+        }
+
+        const currentItem = this.queueItems.find(item => item.itemId === this.currentItemId);
+        return this._trackIdFromMedia(currentItem?.media) || this._trackIdFromMedia(this.currentStatus?.media);
+    }
+
+    getQueueInfo() {
+        const currentItem = this.queueItems.find(item => item.itemId === this.currentItemId);
+        
+        return {
+            status: 'success',
+            usingNativeQueue: true,
+            queue: this.queueItems.map((item, index) => ({
+                position: index + 1,
+                itemId: item.itemId,
+                title: item.media.metadata.title,
+                artist: item.media.metadata.artist,
+                url: item.media.contentId,
+                current: item.itemId === this.currentItemId
+            })),
+            queueSize: this.queueItems.length,
+            currentItemId: this.currentItemId,
+            currentTrack: currentItem ? {
+                itemId: currentItem.itemId,
+                title: currentItem.media.metadata.title,
+                artist: currentItem.media.metadata.artist,
+                url: currentItem.media.contentId
+            } : null,
+            repeatMode: this.repeatMode,
+            shuffle: this.shuffle
+        };
+    }
+
+    getStatus() {
+        const baseStatus = {
+            connected: !!this.player,
+            deviceName: this.device.name,
+            playing: false,
+            playerState: 'DISCONNECTED',
+            usingNativeQueue: true,
+            queue: {
+                size: this.queueItems.length,
+                currentItemId: this.currentItemId,
+                repeatMode: this.repeatMode,
+                shuffle: this.shuffle
+            }
+        };
+
+        if (this.currentStatus) {
+            const sanitizedStatus = this._sanitizeStatus(this.currentStatus);
+            
+            return {
+                ...baseStatus,
+                playing: sanitizedStatus.playerState === 'PLAYING',
+                playerState: sanitizedStatus.playerState,
+                currentTime: sanitizedStatus.currentTime,
+                volume: sanitizedStatus.volume?.level,
+                muted: sanitizedStatus.volume?.muted || false,
+                media: sanitizedStatus.media,
+                currentItemId: sanitizedStatus.currentItemId,
+                loadingItemId: sanitizedStatus.loadingItemId,
+                preloadedItemId: sanitizedStatus.preloadedItemId,
+                repeatMode: sanitizedStatus.repeatMode
+            };
+        }
+
+        return baseStatus;
+    }
+
+    _sanitizeStatus(status) {
+        if (!status || typeof status !== 'object') {
+            return this._getDefaultStatus();
+        }
+
+        return {
+            mediaSessionId: status.mediaSessionId || null,
+            playbackRate: status.playbackRate || 1,
+            playerState: status.playerState || 'IDLE',
+            currentTime: status.currentTime || 0,
+            volume: status.volume || null,
+            media: status.media || null,
+            currentItemId: status.currentItemId || null,
+            loadingItemId: status.loadingItemId || null,
+            preloadedItemId: status.preloadedItemId || null,
+            repeatMode: status.repeatMode || 'REPEAT_OFF'
+        };
+    }
+
+    isHealthy() {
+        return !!this.client && !!this.player;
+    }
+
+    async disconnect() {
+        try {
+            // Keep the latest position for resume_session before the queue is forgotten
+            this._saveQueueState();
+
+            if (this.player) {
+                this.player.close();
+                this.player = null;
+            }
+
+            if (this.client) {
+                this.client.close();
+                this.client = null;
+            }
+
+            if (this.playHistory) {
+                this.playHistory.trackEnded(this.device.name);
+            }
+            this.itemTrackIds.clear();
+            this.historyItemKey = null;
+
+            this.currentStatus = this._getDefaultStatus();
+            this.queueItems = [];
+            this.currentItemId = null;
+
+            this.logger.info('Disconnected from Chromecast', { deviceName: this.device.name });
+
+        } catch (error) {
+            this.logger.error('Error during disconnect', { error: error.message });
+        }
+    }
+}
+
+module.exports = ChromecastSession;
@@ -13,6 +13,7 @@ class ConnectionManager {
         
         this.connectionStateFile = path.join(dataDirectory, 'chromecast_connection.json');
         this.statusFile = path.join(dataDirectory, 'chromecast_status.json');
+        this.queueStateFile = path.join(dataDirectory, 'chromecast_queue.json');
         
         this._ensureDataDirectory();
     }
@@ -113,6 +114,85 @@ class ConnectionManager {
         }
     }
 
+    // Queue snapshots per device (track IDs, current index and position) for resuming after a restart
+    saveQueueState(state) {
+        try {
+            const devices = this._readQueueStates();
+            devices[state.deviceName] = {
+                ...state,
+                timestamp: Date.now()
+            };
+
+            fs.writeFileSync(
+                this.queueStateFile,
+                JSON.stringify({ devices, version: '1.0' }, null, 2)
+            );
+
+            this.logger.debug('Queue state saved', { deviceName: state.deviceName, tracks: state.trackIds?.length || 0 });
+
+        } catch (error) {
+            this.logger.error('Failed to save queue state', { error: error.message });
+        }
+    }
+
+    // The device's snapshot, or the most recently saved one. Unlike connection state this does
+    // not expire; a session can be resumed days later
+    loadQueueState(deviceName = null) {
+        try {
+            const states = Object.values(this._readQueueStates());
+            const state = deviceName
+                ? states.find(saved => saved.deviceName === deviceName)
+                : states.sort((a, b) => b.timestamp - a.timestamp)[0];
+
+            if (!state) {
+                return null;
+            }
+
+            this.logger.debug('Queue state loaded', { deviceName: state.deviceName });
+            return state;
+
+        } catch (error) {
+            this.logger.debug('Failed to load queue state', { error: error.message });
+            return null;
+        }
+    }
+
+    clearQueueState(deviceName = null) {
+        try {
+            const devices = this._readQueueStates();
+
+            if (deviceName && Object.keys(devices).some(name => name !== deviceName)) {
+                delete devices[deviceName];
+                fs.writeFileSync(
+                    this.queueStateFile,
+                    JSON.stringify({ devices, version: '1.0' }, null, 2)
+                );
+            } else if (fs.existsSync(this.queueStateFile)) {
+                fs.unlinkSync(this.queueStateFile);
+            }
+
+            this.logger.debug('Queue state cleared', { deviceName });
+        } catch (error) {
+            this.logger.error('Failed to clear queue state', { error: error.message });
+        }
+    }
+
+    // An unreadable file is treated as empty so the next save replaces it
+    _readQueueStates() {
+        try {
+            if (!fs.existsSync(this.queueStateFile)) {
+                return {};
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.queueStateFile, 'utf8'));
+            return data.devices || {};
+
+        } catch (error) {
+            this.logger.debug('Failed to read queue state', { error: error.message });
+            return {};
+        }
+    }
+
     updateLastSeen(deviceName) {
         try {
             const state = this.loadConnectionState();
@@ -6,8 +6,72 @@
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
-const { DatabaseError, NotFoundError } = require('../utils/errors');
+const { JaroWinklerDistance } = require('natural');
+const { DatabaseError, NotFoundError, ValidationError } = require('../utils/errors');
 const Validator = require('../utils/validator');
+const Normalizer = require('../utils/normalizer');
+
+// Modulus for seeded shuffles: (id * seed) % prime is a repeatable permutation of ids
+const SHUFFLE_PRIME = 1000003;
+
+// Folded copies of the searchable text columns (accent- and case-insensitive)
+const FOLDED_COLUMNS = {
+    title: 'title_folded',
+    artist: 'artist_folded',
+    album: 'album_folded',
+    genre: 'genre_folded',
+    composer: 'composer_folded',
+    album_artist: 'album_artist_folded'
+};
+
+// Albums are grouped by album artist, falling back to the track artist when the tag is missing
+const ALBUM_ARTIST_SQL = 'COALESCE(tracks.album_artist, tracks.artist)';
+const ALBUM_ARTIST_FOLDED_SQL = 'COALESCE(tracks.album_artist_folded, tracks.artist_folded)';
+
+// Fields smart playlist rules can filter and sort on, mapped to whitelisted SQL expressions
+const SMART_FIELDS = {
+    title: { column: 'title_folded', type: 'text' },
+    artist: { column: 'artist_folded', type: 'text' },
+    album: { column: 'album_folded', type: 'text' },
+    genre: { column: 'genre_folded', type: 'text' },
+    composer: { column: 'composer_folded', type: 'text' },
+    mood: { column: 'LOWER(mood)', type: 'text' },
+    year: { column: 'year', type: 'number' },
+    duration: { column: 'duration', type: 'number' },
+    rating: { column: 'rating', type: 'number' },
+    favorite: { column: 'favorite', type: 'number' },
+    play_count: { column: 'play_count', type: 'number' },
+    energy_level: { column: 'energy_level', type: 'number' },
+    tempo: { column: 'tempo', type: 'number' },
+    last_played: { column: 'last_played', type: 'date' },
+    added: { column: 'created_at', type: 'date' }
+};
+
+const SMART_OPERATORS = {
+    text: ['=', '!=', 'contains', 'not_contains', 'starts_with'],
+    number: ['=', '!=', '>', '>=', '<', '<=', 'between'],
+    date: ['within_days', 'older_than_days', 'before', 'after', 'never']
+};
+
+// Relevance boosts for rated and favourite tracks: full-text ranks scale the BM25 score,
+// fuzzy ranks add to the similarity (the reported score stays unboosted)
+const RANK_BOOST = {
+    fts: { rating: 0.1, favorite: 0.25 },
+    fuzzy: { rating: 0.01, favorite: 0.02 }
+};
+
+// Groupings for most-played queries over play_history joined to tracks
+const HISTORY_GROUPS = {
+    track: { select: 't.*', groupBy: 't.id' },
+    artist: { select: "COALESCE(t.artist, 'Unknown Artist') AS artist", groupBy: 't.artist' },
+    album: {
+        select: `COALESCE(t.album, 'Unknown Album') AS album,
+                 CASE WHEN COUNT(DISTINCT t.artist) > 1 THEN 'Various Artists'
+                      ELSE COALESCE(MAX(t.artist), 'Unknown Artist') END AS artist`,
+        groupBy: 't.album'
+    },
+    genre: { select: "COALESCE(t.genre, 'Unknown Genre') AS genre", groupBy: 't.genre' }
+};
 
 class DatabaseService {
     constructor(config, logger) {
@@ -15,6 +79,7 @@ class DatabaseService {
         this.logger = logger || console;
         this.db = null;
         this.isInitialized = false;
+        this.ftsAvailable = false;
         
         this._initialize();
     }
@@ -66,6 +131,8 @@ class DatabaseService {
             this._createTracksTable();
         }
 
+        this._migrateTracksTable();
+
         const playlistsTableExists = this.db.prepare(`
             SELECT name FROM sqlite_master 
             WHERE type='table' AND name='playlists'
@@ -75,6 +142,54 @@ class DatabaseService {
             this.logger.info('Creating playlists table');
             this._createPlaylistsTable();
         }
+
+        // Smart playlists keep their rules as JSON; older databases lack the column
+        if (this._ensureColumns('playlists', { rules: 'TEXT' }).length > 0) {
+            this.logger.info('Added playlists columns', { columns: ['rules'] });
+        }
+
+        const playHistoryTableExists = this.db.prepare(`
+            SELECT name FROM sqlite_master 
+            WHERE type='table' AND name='play_history'
+        `).get();
+
+        if (!playHistoryTableExists) {
+            this.logger.info('Creating play history table');
+            this._createPlayHistoryTable();
+        }
+
+        this._ensureSearchIndex();
+    }
+
+    // Full-text index is optional: SQLite builds without FTS5 fall back to LIKE search
+    _ensureSearchIndex() {
+        try {
+            const ftsTableExists = this.db.prepare(`
+                SELECT name, sql FROM sqlite_master 
+                WHERE type='table' AND name='tracks_fts'
+            `).get();
+
+            if (ftsTableExists && !ftsTableExists.sql.includes('title_folded')) {
+                this.logger.info('Full-text search index is outdated, rebuilding');
+                this.db.exec(`
+                    DROP TRIGGER IF EXISTS tracks_fts_insert;
+                    DROP TRIGGER IF EXISTS tracks_fts_delete;
+                    DROP TRIGGER IF EXISTS tracks_fts_update;
+                    DROP TABLE tracks_fts;
+                `);
+            }
+
+            if (!ftsTableExists || !ftsTableExists.sql.includes('title_folded')) {
+                this.logger.info('Creating full-text search index');
+                this.db.transaction(() => this._createSearchIndex())();
+            }
+
+            this.ftsAvailable = true;
+
+        } catch (error) {
+            this.ftsAvailable = false;
+            this.logger.warn('Full-text search not available, using LIKE search', { error: error.message });
+        }
     }
 
     _createTracksTable() {
@@ -85,8 +200,10 @@ class DatabaseService {
                 title TEXT,
                 artist TEXT,
                 album TEXT,
+                album_artist TEXT,
                 duration REAL,
                 track_number INTEGER,
+                disc_number INTEGER,
                 year INTEGER,
                 file_size INTEGER,
                 last_modified INTEGER,
@@ -96,8 +213,18 @@ class DatabaseService {
                 energy_level REAL,
                 tempo REAL,
                 rating INTEGER DEFAULT 0,
+                favorite INTEGER DEFAULT 0,
                 play_count INTEGER DEFAULT 0,
                 last_played INTEGER,
+                title_folded TEXT,
+                artist_folded TEXT,
+                album_folded TEXT,
+                genre_folded TEXT,
+                composer_folded TEXT,
+                album_artist_folded TEXT,
+                phonetic_keys TEXT,
+                has_art INTEGER,
+                tags_pending INTEGER DEFAULT 0,
                 created_at INTEGER DEFAULT (strftime('%s', 'now')),
                 updated_at INTEGER DEFAULT (strftime('%s', 'now'))
             );
@@ -110,12 +237,114 @@ class DatabaseService {
         `);
     }
 
+    // Bring libraries created by older versions (or the external scanner) up to date
+    _migrateTracksTable() {
+        const added = this._ensureColumns('tracks', {
+            title_folded: 'TEXT',
+            artist_folded: 'TEXT',
+            album_folded: 'TEXT',
+            genre_folded: 'TEXT',
+            composer_folded: 'TEXT',
+            phonetic_keys: 'TEXT',
+            favorite: 'INTEGER DEFAULT 0',
+            album_artist: 'TEXT',
+            album_artist_folded: 'TEXT',
+            disc_number: 'INTEGER',
+            has_art: 'INTEGER',
+            tags_pending: 'INTEGER DEFAULT 0'
+        });
+
+        if (added.length > 0) {
+            this.logger.info('Added tracks columns', { columns: added });
+        }
+
+        if (added.includes('album_artist') || added.includes('disc_number') || added.includes('has_art')) {
+            // Existing rows were scanned without these columns. The next scan reads them for files it would
+            // otherwise skip as unchanged; last_modified stays so transcode and art caches remain valid
+            this.db.exec('UPDATE tracks SET tags_pending = 1');
+            this.logger.info('New tags will be read on the next library scan', { columns: added });
+        }
+
+        this.db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_tracks_title_folded ON tracks(title_folded);
+            CREATE INDEX IF NOT EXISTS idx_tracks_artist_folded ON tracks(artist_folded);
+            CREATE INDEX IF NOT EXISTS idx_tracks_album_folded ON tracks(album_folded);
+            CREATE INDEX IF NOT EXISTS idx_tracks_album_artist_folded ON tracks(album_artist_folded);
+        `);
+
+        this._backfillSearchColumns();
+    }
+
+    _ensureColumns(table, columns) {
+        const existing = new Set(
+            this.db.prepare(`PRAGMA table_info(${table})`).all().map(column => column.name)
+        );
+
+        const added = [];
+        for (const [name, definition] of Object.entries(columns)) {
+            if (!existing.has(name)) {
+                this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+                added.push(name);
+            }
+        }
+
+        return added;
+    }
+
+    // Rows written by other tools have no folded text or phonetic keys yet
+    _backfillSearchColumns() {
+        const missing = Object.entries(FOLDED_COLUMNS)
+            .map(([source, folded]) => `(${source} IS NOT NULL AND ${folded} IS NULL)`)
+            .concat('phonetic_keys IS NULL')
+            .join(' OR ');
+
+        const rows = this.db.prepare(`
+            SELECT id, title, artist, album, genre, composer, album_artist FROM tracks WHERE ${missing}
+        `).all();
+
+        if (rows.length === 0) return;
+
+        this.logger.info('Indexing searchable text for existing tracks', { count: rows.length });
+
+        const update = this.db.prepare(`
+            UPDATE tracks SET
+                title_folded = @title_folded,
+                artist_folded = @artist_folded,
+                album_folded = @album_folded,
+                genre_folded = @genre_folded,
+                composer_folded = @composer_folded,
+                album_artist_folded = @album_artist_folded,
+                phonetic_keys = @phonetic_keys
+            WHERE id = @id
+        `);
+
+        this.db.transaction(() => {
+            for (const row of rows) {
+                update.run({ id: row.id, ...this._searchColumns(row) });
+            }
+        })();
+    }
+
+    // Derived search columns: folded text plus space-delimited phonetic keys
+    _searchColumns(track) {
+        const columns = {};
+        for (const [source, folded] of Object.entries(FOLDED_COLUMNS)) {
+            columns[folded] = Normalizer.foldOrNull(track[source]);
+        }
+
+        const keys = Normalizer.phoneticKeys([track.title, track.artist, track.album].filter(Boolean).join(' '));
+        columns.phonetic_keys = ` ${keys.join(' ')} `;
+
+        return columns;
+    }
+
     _createPlaylistsTable() {
         this.db.exec(`
             CREATE TABLE playlists (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 name TEXT NOT NULL,
                 description TEXT,
+                rules TEXT,
                 created_at INTEGER DEFAULT (strftime('%s', 'now')),
                 updated_at INTEGER DEFAULT (strftime('%s', 'now'))
             );
@@ -136,6 +365,57 @@ class DatabaseService {
         `);
     }
 
+    // One row per play; listened_seconds and completed/skipped are filled in when the play ends
+    _createPlayHistoryTable() {
+        this.db.exec(`
+            CREATE TABLE play_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                track_id INTEGER NOT NULL,
+                device_name TEXT,
+                source TEXT,
+                started_at INTEGER NOT NULL,
+                ended_at INTEGER,
+                listened_seconds REAL,
+                completed INTEGER,
+                skipped INTEGER,
+                FOREIGN KEY (track_id) REFERENCES tracks(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX idx_play_history_started ON play_history(started_at);
+            CREATE INDEX idx_play_history_track ON play_history(track_id);
+        `);
+    }
+
+    _createSearchIndex() {
+        this.db.exec(`
+            CREATE VIRTUAL TABLE tracks_fts USING fts5(
+                title_folded, artist_folded, album_folded, genre_folded, composer_folded,
+                content='tracks',
+                content_rowid='id',
+                tokenize='unicode61 remove_diacritics 2'
+            );
+
+            CREATE TRIGGER tracks_fts_insert AFTER INSERT ON tracks BEGIN
+                INSERT INTO tracks_fts(rowid, title_folded, artist_folded, album_folded, genre_folded, composer_folded)
+                VALUES (new.id, new.title_folded, new.artist_folded, new.album_folded, new.genre_folded, new.composer_folded);
+            END;
+
+            CREATE TRIGGER tracks_fts_delete AFTER DELETE ON tracks BEGIN
+                INSERT INTO tracks_fts(tracks_fts, rowid, title_folded, artist_folded, album_folded, genre_folded, composer_folded)
+                VALUES ('delete', old.id, old.title_folded, old.artist_folded, old.album_folded, old.genre_folded, old.composer_folded);
+            END;
+
+            CREATE TRIGGER tracks_fts_update AFTER UPDATE OF title_folded, artist_folded, album_folded, genre_folded, composer_folded ON tracks BEGIN
+                INSERT INTO tracks_fts(tracks_fts, rowid, title_folded, artist_folded, album_folded, genre_folded, composer_folded)
+                VALUES ('delete', old.id, old.title_folded, old.artist_folded, old.album_folded, old.genre_folded, old.composer_folded);
+                INSERT INTO tracks_fts(rowid, title_folded, artist_folded, album_folded, genre_folded, composer_folded)
+                VALUES (new.id, new.title_folded, new.artist_folded, new.album_folded, new.genre_folded, new.composer_folded);
+            END;
+
+            INSERT INTO tracks_fts(tracks_fts) VALUES ('rebuild');
+        `);
+    }
+
     // Track operations
     getTrackById(trackId) {
         try {
@@ -157,82 +437,559 @@ class DatabaseService {
         }
     }
 
+    // Star rating from 0 (unrated) to 5
+    setTrackRating(trackId, rating) {
+        try {
+            Validator.isValidTrackId(trackId);
+            Validator.isRating(rating);
+
+            return this._updateTrackField(trackId, 'rating', rating);
+
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+            this.logger.error('Failed to rate track', { trackId, rating, error: error.message });
+            throw new DatabaseError('Failed to rate track', error);
+        }
+    }
+
+    setTrackFavorite(trackId, favorite) {
+        try {
+            Validator.isValidTrackId(trackId);
+            if (typeof favorite !== 'boolean') {
+                throw new ValidationError('favorite must be a boolean', 'favorite');
+            }
+
+            return this._updateTrackField(trackId, 'favorite', favorite ? 1 : 0);
+
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+            this.logger.error('Failed to update favorite', { trackId, favorite, error: error.message });
+            throw new DatabaseError('Failed to update favorite', error);
+        }
+    }
+
+    // column is always a literal from the callers above, never user input
+    _updateTrackField(trackId, column, value) {
+        const result = this.db.prepare(`
+            UPDATE tracks SET ${column} = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+        `).run(value, trackId);
+
+        if (result.changes === 0) {
+            throw new NotFoundError('Track', trackId);
+        }
+
+        return this.getTrackById(trackId);
+    }
+
+    // Returns one page of matching tracks plus the total number of matches.
+    // Random order is repeatable for a given seed, so random results can be paged too
     searchTracks(query, options = {}) {
         try {
             const {
                 limit = 10,
+                offset = 0,
+                seed = null,
                 fuzzy = false,
                 exact = false,
-                random = false
+                phonetic = false,
+                random = false,
+                fullText = true,
+                filter = null
             } = options;
 
-            Validator.isValidQuery(query);
+            if (query || !filter) {
+                Validator.isValidQuery(query);
+            }
             Validator.isValidLimit(limit);
+            this._validateOffset(offset);
 
-            let sql;
-            let params;
-
-            if (exact) {
-                sql = `
-                    SELECT * FROM tracks 
-                    WHERE title = ? OR artist = ? OR album = ?
-                    ${random ? 'ORDER BY RANDOM()' : ''}
-                    LIMIT ?
-                `;
-                params = [query, query, query, limit];
-            } else if (fuzzy) {
-                const fuzzyQuery = `%${query.split('').join('%')}%`;
-                sql = `
-                    SELECT * FROM tracks 
-                    WHERE title LIKE ? OR artist LIKE ? OR album LIKE ?
-                    ORDER BY 
-                        ${random ? 'RANDOM()' : `
-                        CASE 
-                            WHEN title LIKE ? THEN 1
-                            WHEN artist LIKE ? THEN 2
-                            WHEN album LIKE ? THEN 3
-                            ELSE 4
-                        END`}
-                    LIMIT ?
-                `;
-                if (random) {
-                    params = [fuzzyQuery, fuzzyQuery, fuzzyQuery, limit];
-                } else {
-                    params = [fuzzyQuery, fuzzyQuery, fuzzyQuery, `%${query}%`, `%${query}%`, `%${query}%`, limit];
-                }
-            } else {
-                const searchQuery = `%${query}%`;
-                sql = `
-                    SELECT * FROM tracks 
-                    WHERE title LIKE ? OR artist LIKE ? OR album LIKE ? OR genre LIKE ?
-                    ORDER BY 
-                        ${random ? 'RANDOM()' : `
-                        CASE 
-                            WHEN title LIKE ? THEN 1
-                            WHEN artist LIKE ? THEN 2
-                            WHEN album LIKE ? THEN 3
-                            ELSE 4
-                        END`}
-                    LIMIT ?
-                `;
-                if (random) {
-                    params = [searchQuery, searchQuery, searchQuery, searchQuery, limit];
-                } else {
-                    params = [searchQuery, searchQuery, searchQuery, searchQuery, searchQuery, searchQuery, searchQuery, limit];
-                }
+            const filters = this._buildFilterClause(filter);
+
+            if (query && fuzzy && !exact && !phonetic) {
+                return this._searchFuzzy(query, filters, { limit, offset, random, seed });
             }
 
-            const stmt = this.db.prepare(sql);
-            const rows = stmt.all(...params);
-            
-            return rows.map(row => this._rowToTrack(row));
+            const match = query
+                ? this._buildMatchClause(query, { exact, phonetic, fullText })
+                : { from: 'tracks', where: [], params: [], order: 'tracks.artist_folded, tracks.album_folded, tracks.track_number', orderParams: [] };
+
+            if (!match) {
+                return { tracks: [], total: 0 };
+            }
+
+            const where = [...match.where, ...filters.where];
+            const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+            const whereParams = [...match.params, ...filters.params];
+
+            let order = `${match.order}, tracks.id`;
+            let orderParams = match.orderParams;
+            if (random) {
+                order = seed ? '(tracks.id * ?) % ?, tracks.id' : 'RANDOM()';
+                orderParams = seed ? [this._shuffleSeed(seed), SHUFFLE_PRIME] : [];
+            }
+
+            let rows, total;
+            try {
+                total = this.db.prepare(`SELECT COUNT(*) AS total FROM ${match.from} ${whereClause}`)
+                    .get(...whereParams).total;
+
+                rows = this.db.prepare(`
+                    SELECT tracks.* FROM ${match.from}
+                    ${whereClause}
+                    ORDER BY ${order}
+                    LIMIT ? OFFSET ?
+                `).all(...whereParams, ...orderParams, limit, offset);
+            } catch (error) {
+                if (match.from === 'tracks') throw error;
+
+                this.logger.warn('Full-text search failed, falling back to LIKE search', { query, error: error.message });
+                return this.searchTracks(query, { ...options, fullText: false });
+            }
+
+            return { tracks: rows.map(row => this._rowToTrack(row)), total };
             
         } catch (error) {
+            if (error instanceof ValidationError) throw error;
             this.logger.error('Failed to search tracks', { query, error: error.message });
             throw new DatabaseError('Search failed', error);
         }
     }
 
+    // Text matching part of a search: FROM source, WHERE conditions and relevance ordering
+    _buildMatchClause(query, { exact, phonetic, fullText }) {
+        // Stored text is folded the same way, so matching ignores accents and case
+        const foldedQuery = Normalizer.fold(query);
+        const ftsQuery = this.ftsAvailable && fullText ? this._buildFtsQuery(foldedQuery) : null;
+
+        if (exact) {
+            return {
+                from: 'tracks',
+                where: ['(tracks.title_folded = ? OR tracks.artist_folded = ? OR tracks.album_folded = ?)'],
+                params: [foldedQuery, foldedQuery, foldedQuery],
+                order: 'tracks.artist_folded, tracks.album_folded, tracks.track_number',
+                orderParams: []
+            };
+        }
+
+        if (phonetic) {
+            // Every word of the query must sound like a word of the title, artist or album
+            const keys = Normalizer.phoneticKeys(query);
+            if (keys.length === 0) {
+                return null;
+            }
+
+            return {
+                from: 'tracks',
+                where: keys.map(() => 'tracks.phonetic_keys LIKE ?'),
+                params: keys.map(key => `% ${key} %`),
+                order: 'tracks.artist_folded, tracks.album_folded, tracks.track_number',
+                orderParams: []
+            };
+        }
+
+        if (ftsQuery) {
+            // BM25 ranking; title matches weigh most, then artist, album, genre and composer.
+            // BM25 is negative (lower is better), so the rating multiplier pulls rated tracks up
+            const boost = RANK_BOOST.fts;
+            return {
+                from: 'tracks_fts JOIN tracks ON tracks.id = tracks_fts.rowid',
+                where: ['tracks_fts MATCH ?'],
+                params: [ftsQuery],
+                order: `bm25(tracks_fts, 10.0, 5.0, 3.0, 1.0, 1.0)
+                    * (1 + ${boost.rating} * COALESCE(tracks.rating, 0) + ${boost.favorite} * COALESCE(tracks.favorite, 0))`,
+                orderParams: []
+            };
+        }
+
+        const searchQuery = `%${foldedQuery}%`;
+        return {
+            from: 'tracks',
+            where: ['(tracks.title_folded LIKE ? OR tracks.artist_folded LIKE ? OR tracks.album_folded LIKE ? OR tracks.genre_folded LIKE ?)'],
+            params: [searchQuery, searchQuery, searchQuery, searchQuery],
+            order: `CASE 
+                    WHEN tracks.title_folded LIKE ? THEN 1
+                    WHEN tracks.artist_folded LIKE ? THEN 2
+                    WHEN tracks.album_folded LIKE ? THEN 3
+                    ELSE 4
+                END, COALESCE(tracks.favorite, 0) DESC, COALESCE(tracks.rating, 0) DESC`,
+            orderParams: [searchQuery, searchQuery, searchQuery]
+        };
+    }
+
+    // Typo-tolerant search: narrow the tracks allowed by the filters to likely candidates,
+    // rank those by Jaro-Winkler similarity and keep the ones above the configured threshold
+    _searchFuzzy(query, filters, { limit, offset, random, seed }) {
+        const foldedQuery = Normalizer.fold(query);
+        const queryTokens = Normalizer.tokenize(query);
+        const threshold = this.config.search.fuzzyThreshold;
+
+        const narrowing = this._buildFuzzyCandidateClause(query, queryTokens);
+        const where = narrowing ? filters.where.concat(narrowing.where) : filters.where;
+        const params = narrowing ? filters.params.concat(narrowing.params) : filters.params;
+
+        const candidates = this.db.prepare(`
+            SELECT tracks.id, tracks.title_folded, tracks.artist_folded, tracks.album_folded,
+                   COALESCE(tracks.rating, 0) AS rating, COALESCE(tracks.favorite, 0) AS favorite
+            FROM tracks
+            ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+        `).all(...params);
+
+        const matches = [];
+        for (const candidate of candidates) {
+            const score = this._fuzzyScore(foldedQuery, queryTokens, candidate);
+            if (score >= threshold) {
+                const rank = score + RANK_BOOST.fuzzy.rating * candidate.rating + RANK_BOOST.fuzzy.favorite * candidate.favorite;
+                matches.push({ id: candidate.id, score, rank });
+            }
+        }
+
+        if (random) {
+            // Same permutation as the SQL path, so a seed pages consistently
+            const shuffleSeed = this._shuffleSeed(seed || Math.floor(Math.random() * SHUFFLE_PRIME));
+            const rank = (id) => (id * shuffleSeed) % SHUFFLE_PRIME;
+            matches.sort((a, b) => rank(a.id) - rank(b.id) || a.id - b.id);
+        } else {
+            matches.sort((a, b) => b.rank - a.rank || a.id - b.id);
+        }
+
+        const top = matches.slice(offset, offset + limit);
+        if (top.length === 0) {
+            return { tracks: [], total: matches.length };
+        }
+
+        const rows = this.db.prepare(`SELECT * FROM tracks WHERE id IN (${top.map(() => '?').join(', ')})`)
+            .all(...top.map(match => match.id));
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+
+        const tracks = top.map(match => ({
+            ...this._rowToTrack(rowsById.get(match.id)),
+            score: Math.round(match.score * 1000) / 1000
+        }));
+
+        return { tracks, total: matches.length };
+    }
+
+    // Tracks worth scoring for a fuzzy query: a word starting with the same two letters as a
+    // query word, or sounding like one. A typo past the second letter is caught by the prefix,
+    // one in the first two letters usually keeps the sound. Null when nothing can narrow it
+    _buildFuzzyCandidateClause(query, queryTokens) {
+        const conditions = [];
+        const params = [];
+
+        const prefixes = [...new Set(queryTokens.filter(token => token.length >= 2).map(token => token.slice(0, 2)))];
+        if (prefixes.length === 0) {
+            return null;
+        }
+
+        if (this.ftsAvailable) {
+            conditions.push('tracks.id IN (SELECT rowid FROM tracks_fts WHERE tracks_fts MATCH ?)');
+            params.push(prefixes.map(prefix => `{title_folded artist_folded album_folded}: "${prefix}"*`).join(' OR '));
+        } else {
+            for (const prefix of prefixes) {
+                conditions.push('(tracks.title_folded LIKE ? OR tracks.artist_folded LIKE ? OR tracks.album_folded LIKE ?)');
+                params.push(`%${prefix}%`, `%${prefix}%`, `%${prefix}%`);
+            }
+        }
+
+        for (const key of Normalizer.phoneticKeys(query)) {
+            conditions.push('tracks.phonetic_keys LIKE ?');
+            params.push(`% ${key} %`);
+        }
+
+        return { where: [`(${conditions.join(' OR ')})`], params };
+    }
+
+    // Map any integer seed onto a multiplier that keeps (id * seed) % SHUFFLE_PRIME one-to-one
+    _shuffleSeed(seed) {
+        return (Math.abs(Math.floor(seed)) % (SHUFFLE_PRIME - 1)) + 1;
+    }
+
+    // Similarity between 0 and 1: the best of the whole query against each field, and of
+    // each query word against its closest word in the title, artist or album
+    _fuzzyScore(foldedQuery, queryTokens, candidate) {
+        const fields = [candidate.title_folded, candidate.artist_folded, candidate.album_folded].filter(Boolean);
+        if (fields.length === 0) return 0;
+
+        let best = 0;
+        for (const field of fields) {
+            best = Math.max(best, JaroWinklerDistance(foldedQuery, field));
+        }
+
+        if (queryTokens.length > 0) {
+            const fieldTokens = fields.flatMap(field => Normalizer.tokenize(field));
+            let total = 0;
+
+            for (const token of queryTokens) {
+                let tokenBest = 0;
+                for (const fieldToken of fieldTokens) {
+                    tokenBest = Math.max(tokenBest, JaroWinklerDistance(token, fieldToken));
+                    if (tokenBest === 1) break;
+                }
+                total += tokenBest;
+            }
+
+            best = Math.max(best, total / queryTokens.length);
+        }
+
+        return best;
+    }
+
+    // Compile a structured search filter into parameterised conditions (combined with AND)
+    _buildFilterClause(filter) {
+        const where = [];
+        const params = [];
+
+        if (!filter) {
+            return { where, params };
+        }
+
+        if (typeof filter !== 'object' || Array.isArray(filter)) {
+            throw new ValidationError('filter must be an object', 'filter');
+        }
+
+        const textFields = {
+            artist: 'tracks.artist_folded',
+            album: 'tracks.album_folded',
+            genre: 'tracks.genre_folded'
+        };
+
+        const rangeFields = {
+            year_min: ['tracks.year', '>='],
+            year_max: ['tracks.year', '<='],
+            duration_min: ['tracks.duration', '>='],
+            duration_max: ['tracks.duration', '<='],
+            min_rating: ['tracks.rating', '>=']
+        };
+
+        for (const [field, value] of Object.entries(filter)) {
+            if (value === null || value === undefined || value === '') continue;
+
+            if (textFields[field]) {
+                Validator.isNonEmptyString(value, `filter.${field}`);
+                where.push(`${textFields[field]} LIKE ?`);
+                params.push(`%${Normalizer.fold(value)}%`);
+            } else if (rangeFields[field]) {
+                const [column, operator] = rangeFields[field];
+                Validator.isNumber(value, `filter.${field}`);
+                where.push(`${column} ${operator} ?`);
+                params.push(value);
+            } else if (field === 'mood') {
+                Validator.isNonEmptyString(value, 'filter.mood');
+                where.push('LOWER(tracks.mood) = ?');
+                params.push(value.trim().toLowerCase());
+            } else if (field === 'favorite') {
+                if (typeof value !== 'boolean') {
+                    throw new ValidationError('filter.favorite must be a boolean', 'filter.favorite');
+                }
+                where.push('COALESCE(tracks.favorite, 0) = ?');
+                params.push(value ? 1 : 0);
+            } else if (field === 'played_since') {
+                where.push('tracks.last_played >= ?');
+                params.push(this._toTimestamp(value, 'filter.played_since'));
+            } else {
+                throw new ValidationError(`Unknown filter field: ${field}`, 'filter');
+            }
+        }
+
+        return { where, params };
+    }
+
+    // Accept an ISO date string or a unix timestamp (seconds)
+    _toTimestamp(value, fieldName) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return Math.floor(value);
+        }
+
+        const time = typeof value === 'string' ? Date.parse(value) : NaN;
+        if (isNaN(time)) {
+            throw new ValidationError(`${fieldName} must be an ISO date or a unix timestamp`, fieldName);
+        }
+
+        return Math.floor(time / 1000);
+    }
+
+    // Turn free text into an FTS5 query: every word must match, as a prefix
+    _buildFtsQuery(query) {
+        const terms = Normalizer.tokenize(query);
+        if (terms.length === 0) return null;
+
+        return terms.map(term => `"${term}"*`).join(' ');
+    }
+
+    // Insert or update tracks keyed by filepath, in a single transaction
+    upsertTracks(tracks) {
+        try {
+            const existsStmt = this.db.prepare('SELECT id FROM tracks WHERE filepath = ?');
+            const upsertStmt = this.db.prepare(`
+                INSERT INTO tracks (
+                    filepath, title, artist, album, album_artist, duration, track_number, disc_number, year,
+                    genre, composer, file_size, last_modified, has_art,
+                    title_folded, artist_folded, album_folded, genre_folded, composer_folded,
+                    album_artist_folded, phonetic_keys
+                ) VALUES (
+                    @filepath, @title, @artist, @album, @album_artist, @duration, @track_number, @disc_number, @year,
+                    @genre, @composer, @file_size, @last_modified, @has_art,
+                    @title_folded, @artist_folded, @album_folded, @genre_folded, @composer_folded,
+                    @album_artist_folded, @phonetic_keys
+                )
+                ON CONFLICT(filepath) DO UPDATE SET
+                    title = excluded.title,
+                    artist = excluded.artist,
+                    album = excluded.album,
+                    album_artist = excluded.album_artist,
+                    duration = excluded.duration,
+                    track_number = excluded.track_number,
+                    disc_number = excluded.disc_number,
+                    year = excluded.year,
+                    genre = excluded.genre,
+                    composer = excluded.composer,
+                    file_size = excluded.file_size,
+                    last_modified = excluded.last_modified,
+                    has_art = excluded.has_art,
+                    title_folded = excluded.title_folded,
+                    artist_folded = excluded.artist_folded,
+                    album_folded = excluded.album_folded,
+                    genre_folded = excluded.genre_folded,
+                    composer_folded = excluded.composer_folded,
+                    album_artist_folded = excluded.album_artist_folded,
+                    phonetic_keys = excluded.phonetic_keys,
+                    tags_pending = 0,
+                    updated_at = strftime('%s', 'now')
+            `);
+
+            const run = this.db.transaction((items) => {
+                let added = 0;
+                let updated = 0;
+
+                for (const track of items) {
+                    const existing = existsStmt.get(track.filepath);
+                    upsertStmt.run(this._trackToRow(track));
+                    if (existing) {
+                        updated++;
+                    } else {
+                        added++;
+                    }
+                }
+
+                return { added, updated };
+            });
+
+            return run(tracks);
+
+        } catch (error) {
+            this.logger.error('Failed to upsert tracks', { count: tracks.length, error: error.message });
+            throw new DatabaseError('Failed to save tracks', error);
+        }
+    }
+
+    // Size and mtime of every known file, used by incremental scans
+    getTrackFileIndex() {
+        try {
+            return this.db.prepare(`
+                SELECT id, filepath, file_size, last_modified, tags_pending FROM tracks
+            `).all();
+        } catch (error) {
+            this.logger.error('Failed to get track file index', { error: error.message });
+            throw new DatabaseError('Failed to retrieve track file index', error);
+        }
+    }
+
+    // Store tag columns added after a track was scanned, leaving the rest of the row as it is
+    backfillTrackTags(trackId, track) {
+        try {
+            this.db.prepare(`
+                UPDATE tracks SET
+                    album_artist = ?,
+                    album_artist_folded = ?,
+                    disc_number = ?,
+                    has_art = ?,
+                    tags_pending = 0
+                WHERE id = ?
+            `).run(
+                track.album_artist || null,
+                Normalizer.foldOrNull(track.album_artist),
+                track.disc_number || null,
+                this._hasArtValue(track.has_art),
+                trackId
+            );
+        } catch (error) {
+            this.logger.error('Failed to backfill track tags', { trackId, error: error.message });
+            throw new DatabaseError('Failed to update track tags', error);
+        }
+    }
+
+    // Tracks whose title (and artist, when given) match ignoring accents and case
+    findTracksByTitle(title, artist = null) {
+        try {
+            Validator.isNonEmptyString(title, 'title');
+
+            const conditions = ['title_folded = ?'];
+            const params = [Normalizer.fold(title)];
+            if (artist) {
+                conditions.push('artist_folded = ?');
+                params.push(Normalizer.fold(artist));
+            }
+
+            return this.db.prepare(`SELECT * FROM tracks WHERE ${conditions.join(' AND ')} ORDER BY id`)
+                .all(...params)
+                .map(row => this._rowToTrack(row));
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to find tracks by title', { title, artist, error: error.message });
+            throw new DatabaseError('Failed to find tracks by title', error);
+        }
+    }
+
+    getTrackFileEntry(filepath) {
+        try {
+            return this.db.prepare(`
+                SELECT id, filepath, file_size, last_modified, tags_pending FROM tracks WHERE filepath = ?
+            `).get(filepath) || null;
+        } catch (error) {
+            this.logger.error('Failed to get track file entry', { filepath, error: error.message });
+            throw new DatabaseError('Failed to retrieve track file entry', error);
+        }
+    }
+
+    // Delete the track stored at a path, or every track below it when the path was a directory
+    deleteTracksUnderPath(targetPath) {
+        try {
+            const prefix = targetPath.endsWith(path.sep) ? targetPath : targetPath + path.sep;
+
+            const result = this.db.prepare(`
+                DELETE FROM tracks
+                WHERE filepath = ? OR substr(filepath, 1, ?) = ?
+            `).run(targetPath, prefix.length, prefix);
+
+            return result.changes;
+
+        } catch (error) {
+            this.logger.error('Failed to delete tracks under path', { targetPath, error: error.message });
+            throw new DatabaseError('Failed to delete tracks', error);
+        }
+    }
+
+    deleteTracks(trackIds) {
+        try {
+            const stmt = this.db.prepare('DELETE FROM tracks WHERE id = ?');
+
+            const run = this.db.transaction((ids) => {
+                let deleted = 0;
+                for (const id of ids) {
+                    deleted += stmt.run(id).changes;
+                }
+                return deleted;
+            });
+
+            return run(trackIds);
+
+        } catch (error) {
+            this.logger.error('Failed to delete tracks', { count: trackIds.length, error: error.message });
+            throw new DatabaseError('Failed to delete tracks', error);
+        }
+    }
+
     getTracksCount() {
         try {
             const stmt = this.db.prepare('SELECT COUNT(*) as count FROM tracks');
@@ -264,19 +1021,435 @@ class DatabaseService {
         }
     }
 
-    // Transform database row to track object
-    _rowToTrack(row) {
-        const track = {
-            id: row.id,
+    // Album artists with album and track counts; genre keeps artists with at least one matching track
+    listArtists({ query = null, genre = null, limit = 50, offset = 0 } = {}) {
+        try {
+            Validator.isValidLimit(limit);
+            this._validateOffset(offset);
+
+            const where = [];
+            const params = [];
+            if (query) {
+                Validator.isNonEmptyString(query, 'query');
+                where.push(`${ALBUM_ARTIST_FOLDED_SQL} LIKE ?`);
+                params.push(`%${Normalizer.fold(query)}%`);
+            }
+
+            const having = [];
+            if (genre) {
+                Validator.isNonEmptyString(genre, 'genre');
+                having.push('SUM(tracks.genre_folded LIKE ?) > 0');
+                params.push(`%${Normalizer.fold(genre)}%`);
+            }
+
+            const grouped = `
+                SELECT MIN(${ALBUM_ARTIST_SQL}) AS artist,
+                       COUNT(DISTINCT tracks.album_folded) AS album_count,
+                       COUNT(*) AS track_count,
+                       ROUND(SUM(COALESCE(tracks.duration, 0)) / 3600.0, 2) AS total_hours
+                FROM tracks
+                ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+                GROUP BY ${ALBUM_ARTIST_FOLDED_SQL}
+                ${having.length > 0 ? `HAVING ${having.join(' AND ')}` : ''}
+            `;
+
+            const total = this.db.prepare(`SELECT COUNT(*) AS total FROM (${grouped})`).get(...params).total;
+            const artists = this.db.prepare(`${grouped} ORDER BY ${ALBUM_ARTIST_FOLDED_SQL} LIMIT ? OFFSET ?`)
+                .all(...params, limit, offset)
+                .map(row => ({ ...row, artist: row.artist || 'Unknown Artist' }));
+
+            return { artists, total };
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to list artists', { error: error.message });
+            throw new DatabaseError('Failed to list artists', error);
+        }
+    }
+
+    // Albums keyed by (album, album artist), so compilations stay whole and same-named albums stay apart
+    listAlbums({ artist = null, genre = null, year = null, query = null, limit = 50, offset = 0 } = {}) {
+        try {
+            Validator.isValidLimit(limit);
+            this._validateOffset(offset);
+
+            const where = ['tracks.album IS NOT NULL'];
+            const params = [];
+            if (artist) {
+                Validator.isNonEmptyString(artist, 'artist');
+                where.push(`${ALBUM_ARTIST_FOLDED_SQL} LIKE ?`);
+                params.push(`%${Normalizer.fold(artist)}%`);
+            }
+            if (query) {
+                Validator.isNonEmptyString(query, 'query');
+                where.push('tracks.album_folded LIKE ?');
+                params.push(`%${Normalizer.fold(query)}%`);
+            }
+
+            const having = [];
+            if (genre) {
+                Validator.isNonEmptyString(genre, 'genre');
+                having.push('SUM(tracks.genre_folded LIKE ?) > 0');
+                params.push(`%${Normalizer.fold(genre)}%`);
+            }
+            if (year !== null && year !== undefined) {
+                Validator.isPositiveInteger(year, 'year');
+                having.push('MAX(tracks.year) = ?');
+                params.push(year);
+            }
+
+            const grouped = `
+                SELECT ${this._albumColumns()}
+                FROM tracks
+                WHERE ${where.join(' AND ')}
+                GROUP BY tracks.album_folded, ${ALBUM_ARTIST_FOLDED_SQL}
+                ${having.length > 0 ? `HAVING ${having.join(' AND ')}` : ''}
+            `;
+
+            const total = this.db.prepare(`SELECT COUNT(*) AS total FROM (${grouped})`).get(...params).total;
+            const albums = this.db.prepare(`
+                ${grouped}
+                ORDER BY ${ALBUM_ARTIST_FOLDED_SQL}, year, tracks.album_folded
+                LIMIT ? OFFSET ?
+            `).all(...params, limit, offset).map(row => this._rowToAlbum(row));
+
+            return { albums, total };
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to list albums', { error: error.message });
+            throw new DatabaseError('Failed to list albums', error);
+        }
+    }
+
+    // One album with its tracks in disc and track order; artist disambiguates albums sharing a title
+    getAlbum(album, artist = null) {
+        try {
+            Validator.isNonEmptyString(album, 'album');
+
+            const where = ['tracks.album_folded = ?'];
+            const params = [Normalizer.fold(album)];
+            if (artist) {
+                Validator.isNonEmptyString(artist, 'artist');
+                where.push(`${ALBUM_ARTIST_FOLDED_SQL} = ?`);
+                params.push(Normalizer.fold(artist));
+            }
+
+            const matches = this.db.prepare(`
+                SELECT ${this._albumColumns()}, ${ALBUM_ARTIST_FOLDED_SQL} AS artist_key
+                FROM tracks
+                WHERE ${where.join(' AND ')}
+                GROUP BY tracks.album_folded, ${ALBUM_ARTIST_FOLDED_SQL}
+            `).all(...params);
+
+            if (matches.length === 0) {
+                throw new NotFoundError('Album', artist ? `${album} by ${artist}` : album);
+            }
+
+            if (matches.length > 1) {
+                const artists = matches.map(match => match.artist || 'Unknown Artist').join(', ');
+                throw new ValidationError(`Several albums are named '${album}' (${artists}); pass artist`, 'artist');
+            }
+
+            const { artist_key, ...match } = matches[0];
+            const rows = this.db.prepare(`
+                SELECT * FROM tracks
+                WHERE tracks.album_folded = ? AND ${ALBUM_ARTIST_FOLDED_SQL} IS ?
+                ORDER BY COALESCE(tracks.disc_number, 1), COALESCE(tracks.track_number, 9999), tracks.filepath
+            `).all(params[0], artist_key);
+
+            return {
+                ...this._rowToAlbum(match),
+                tracks: rows.map(row => this._rowToTrack(row))
+            };
+
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) throw error;
+            this.logger.error('Failed to get album', { album, artist, error: error.message });
+            throw new DatabaseError('Failed to get album', error);
+        }
+    }
+
+    // Aggregate columns shared by album listings; used with GROUP BY album and album artist
+    _albumColumns() {
+        return `
+            MIN(tracks.album) AS album,
+            MIN(${ALBUM_ARTIST_SQL}) AS artist,
+            MAX(tracks.year) AS year,
+            COUNT(*) AS track_count,
+            SUM(COALESCE(tracks.duration, 0)) AS total_duration,
+            GROUP_CONCAT(DISTINCT tracks.genre) AS genres
+        `;
+    }
+
+    _rowToAlbum(row) {
+        return {
+            album: row.album,
+            artist: row.artist || 'Unknown Artist',
+            year: row.year || null,
+            track_count: row.track_count,
+            total_duration: row.total_duration,
+            total_duration_formatted: this._formatDuration(row.total_duration),
+            genres: row.genres ? row.genres.split(',') : []
+        };
+    }
+
+    _validateOffset(offset) {
+        Validator.isInteger(offset, 'offset');
+        if (offset < 0) {
+            throw new ValidationError('offset cannot be negative', 'offset');
+        }
+    }
+
+    // Open a play_history row and bump the track's play_count/last_played
+    recordPlayStart(trackId, { deviceName = null, source = null, startedAt = null } = {}) {
+        try {
+            Validator.isValidTrackId(trackId);
+            const started = startedAt || Math.floor(Date.now() / 1000);
+
+            return this.db.transaction(() => {
+                const result = this.db.prepare(`
+                    INSERT INTO play_history (track_id, device_name, source, started_at)
+                    VALUES (?, ?, ?, ?)
+                `).run(trackId, deviceName, source, started);
+
+                // play_count goes up in recordPlayEnd, once the play counts as completed
+                this.db.prepare(`
+                    UPDATE tracks SET last_played = ?
+                    WHERE id = ?
+                `).run(started, trackId);
+
+                return Number(result.lastInsertRowid);
+            })();
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to record play start', { trackId, error: error.message });
+            throw new DatabaseError('Failed to record play', error);
+        }
+    }
+
+    recordPlayEnd(historyId, { listenedSeconds = null, completed = false, endedAt = null } = {}) {
+        try {
+            this.db.transaction(() => {
+                this.db.prepare(`
+                    UPDATE play_history
+                    SET ended_at = ?, listened_seconds = ?, completed = ?, skipped = ?
+                    WHERE id = ?
+                `).run(
+                    endedAt || Math.floor(Date.now() / 1000),
+                    listenedSeconds,
+                    completed ? 1 : 0,
+                    completed ? 0 : 1,
+                    historyId
+                );
+
+                // Only completed plays count; skips stay in play_history
+                if (completed) {
+                    this.db.prepare(`
+                        UPDATE tracks SET play_count = COALESCE(play_count, 0) + 1
+                        WHERE id = (SELECT track_id FROM play_history WHERE id = ?)
+                    `).run(historyId);
+                }
+            })();
+
+        } catch (error) {
+            this.logger.error('Failed to record play end', { historyId, error: error.message });
+            throw new DatabaseError('Failed to record play', error);
+        }
+    }
+
+    // Latest plays first, one entry per play (a track played twice appears twice)
+    getRecentlyPlayed({ limit = 20, since = null, until = null, days = null } = {}) {
+        try {
+            Validator.isValidLimit(limit);
+            const window = this._buildHistoryWindow({ since, until, days });
+
+            const rows = this.db.prepare(`
+                SELECT t.*, ph.id AS history_id, ph.device_name, ph.source,
+                       ph.started_at, ph.listened_seconds, ph.completed
+                FROM play_history ph
+                JOIN tracks t ON t.id = ph.track_id
+                ${window.clause}
+                ORDER BY ph.started_at DESC, ph.id DESC
+                LIMIT ?
+            `).all(...window.params, limit);
+
+            return rows.map(row => ({
+                ...this._rowToTrack(row),
+                history_id: row.history_id,
+                played_at: new Date(row.started_at * 1000).toISOString(),
+                device_name: row.device_name,
+                source: row.source,
+                listened_seconds: row.listened_seconds,
+                completed: row.completed === null ? null : row.completed === 1
+            }));
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to get recently played', { error: error.message });
+            throw new DatabaseError('Failed to get recently played tracks', error);
+        }
+    }
+
+    // Play counts from play_history grouped by track, artist, album or genre within a time window
+    getMostPlayed({ groupBy = 'track', limit = 10, since = null, until = null, days = null } = {}) {
+        try {
+            Validator.isValidLimit(limit);
+            const group = HISTORY_GROUPS[groupBy];
+            if (!group) {
+                throw new ValidationError(
+                    `group_by must be one of: ${Object.keys(HISTORY_GROUPS).join(', ')}`,
+                    'group_by'
+                );
+            }
+
+            const window = this._buildHistoryWindow({ since, until, days });
+
+            const rows = this.db.prepare(`
+                SELECT ${group.select},
+                       COUNT(*) AS plays,
+                       SUM(COALESCE(ph.completed, 0)) AS completed_plays,
+                       ROUND(SUM(COALESCE(ph.listened_seconds, 0)) / 3600.0, 2) AS listened_hours,
+                       MAX(ph.started_at) AS last_played_at
+                FROM play_history ph
+                JOIN tracks t ON t.id = ph.track_id
+                ${window.clause}
+                GROUP BY ${group.groupBy}
+                ORDER BY plays DESC, listened_hours DESC, last_played_at DESC
+                LIMIT ?
+            `).all(...window.params, limit);
+
+            return rows.map(row => {
+                const { plays, completed_plays, listened_hours, last_played_at, ...rest } = row;
+                const subject = groupBy === 'track' ? this._rowToTrack(rest) : rest;
+
+                return {
+                    ...subject,
+                    plays,
+                    completed_plays,
+                    listened_hours,
+                    last_played_at: new Date(last_played_at * 1000).toISOString()
+                };
+            });
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to get most played', { groupBy, error: error.message });
+            throw new DatabaseError('Failed to get most played', error);
+        }
+    }
+
+    // Totals, listening hours per day and the top genres of each month
+    getListeningStats({ since = null, until = null, days = null, topGenres = 3 } = {}) {
+        try {
+            const window = this._buildHistoryWindow({ since, until, days });
+
+            const totals = this.db.prepare(`
+                SELECT COUNT(*) AS total_plays,
+                       SUM(COALESCE(ph.completed, 0)) AS completed_plays,
+                       SUM(COALESCE(ph.skipped, 0)) AS skipped_plays,
+                       ROUND(SUM(COALESCE(ph.listened_seconds, 0)) / 3600.0, 2) AS total_hours,
+                       COUNT(DISTINCT ph.track_id) AS unique_tracks,
+                       COUNT(DISTINCT t.artist) AS unique_artists,
+                       MIN(ph.started_at) AS first_play,
+                       MAX(ph.started_at) AS last_play
+                FROM play_history ph
+                JOIN tracks t ON t.id = ph.track_id
+                ${window.clause}
+            `).get(...window.params);
+
+            const hoursPerDay = this.db.prepare(`
+                SELECT date(ph.started_at, 'unixepoch', 'localtime') AS date,
+                       COUNT(*) AS plays,
+                       ROUND(SUM(COALESCE(ph.listened_seconds, 0)) / 3600.0, 2) AS hours
+                FROM play_history ph
+                ${window.clause}
+                GROUP BY date
+                ORDER BY date
+            `).all(...window.params);
+
+            const genreRows = this.db.prepare(`
+                SELECT strftime('%Y-%m', ph.started_at, 'unixepoch', 'localtime') AS month,
+                       COALESCE(t.genre, 'Unknown Genre') AS genre,
+                       COUNT(*) AS plays,
+                       ROUND(SUM(COALESCE(ph.listened_seconds, 0)) / 3600.0, 2) AS hours
+                FROM play_history ph
+                JOIN tracks t ON t.id = ph.track_id
+                ${window.clause}
+                GROUP BY month, genre
+                ORDER BY month, plays DESC, hours DESC
+            `).all(...window.params);
+
+            const months = new Map();
+            for (const { month, ...genre } of genreRows) {
+                if (!months.has(month)) months.set(month, []);
+                const genres = months.get(month);
+                if (genres.length < topGenres) genres.push(genre);
+            }
+
+            return {
+                total_plays: totals.total_plays,
+                completed_plays: totals.completed_plays || 0,
+                skipped_plays: totals.skipped_plays || 0,
+                total_hours: totals.total_hours || 0,
+                unique_tracks: totals.unique_tracks,
+                unique_artists: totals.unique_artists,
+                first_play: totals.first_play ? new Date(totals.first_play * 1000).toISOString() : null,
+                last_play: totals.last_play ? new Date(totals.last_play * 1000).toISOString() : null,
+                hours_per_day: hoursPerDay,
+                top_genres_by_month: Array.from(months, ([month, genres]) => ({ month, genres }))
+            };
+
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            this.logger.error('Failed to get listening stats', { error: error.message });
+            throw new DatabaseError('Failed to get listening statistics', error);
+        }
+    }
+
+    // WHERE clause on play_history.started_at; days counts back from now, since/until take ISO dates
+    _buildHistoryWindow({ since = null, until = null, days = null }) {
+        const conditions = [];
+        const params = [];
+
+        if (days !== null && days !== undefined) {
+            Validator.isPositiveInteger(days, 'days');
+            conditions.push('ph.started_at >= ?');
+            params.push(Math.floor(Date.now() / 1000) - days * 86400);
+        }
+
+        if (since !== null && since !== undefined) {
+            conditions.push('ph.started_at >= ?');
+            params.push(this._toTimestamp(since, 'since'));
+        }
+
+        if (until !== null && until !== undefined) {
+            conditions.push('ph.started_at < ?');
+            params.push(this._toTimestamp(until, 'until'));
+        }
+
+        return {
+            clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+            params
+        };
+    }
+
+    // Transform database row to track object
+    _rowToTrack(row) {
+        const track = {
+            id: row.id,
             title: row.title || 'Unknown Title',
             artist: row.artist || 'Unknown Artist',
             album: row.album || 'Unknown Album',
+            album_artist: row.album_artist || row.artist || 'Unknown Artist',
             genre: row.genre || 'Unknown Genre',
             composer: row.composer || 'Unknown Composer',
             filepath: row.filepath,
             duration: row.duration || 0,
             duration_formatted: this._formatDuration(row.duration || 0),
             track_number: row.track_number || 0,
+            disc_number: row.disc_number || 0,
             year: row.year || 0,
             file_size: row.file_size || 0,
             last_modified: row.last_modified || 0,
@@ -286,6 +1459,8 @@ class DatabaseService {
             energy_level: row.energy_level,
             tempo: row.tempo,
             rating: row.rating || 0,
+            favorite: row.favorite === 1,
+            has_art: row.has_art === null || row.has_art === undefined ? null : row.has_art === 1,
             play_count: row.play_count || 0,
             last_played: row.last_played,
             created_at: row.created_at,
@@ -295,6 +1470,32 @@ class DatabaseService {
         return track;
     }
 
+    // Transform scanned track metadata to bindable row parameters
+    _trackToRow(track) {
+        return {
+            ...this._searchColumns(track),
+            filepath: track.filepath,
+            title: track.title || null,
+            artist: track.artist || null,
+            album: track.album || null,
+            album_artist: track.album_artist || null,
+            duration: track.duration || null,
+            track_number: track.track_number || null,
+            disc_number: track.disc_number || null,
+            year: track.year || null,
+            genre: track.genre || null,
+            composer: track.composer || null,
+            file_size: track.file_size || null,
+            last_modified: track.last_modified || null,
+            has_art: this._hasArtValue(track.has_art)
+        };
+    }
+
+    // Stored as 1/0, or NULL when the scanner that wrote the row did not look for art
+    _hasArtValue(hasArt) {
+        return typeof hasArt === 'boolean' ? Number(hasArt) : null;
+    }
+
     _formatDuration(seconds) {
         if (!seconds || seconds <= 0) return '00:00';
         
@@ -305,25 +1506,37 @@ class DatabaseService {
     }
 
     // Playlist operations
-    createPlaylist(name, description = '') {
+    // Passing rules creates a smart playlist whose tracks are recomputed from the library
+    createPlaylist(name, description = '', rules = null) {
         try {
             Validator.isNonEmptyString(name, 'name');
-            
-            const stmt = this.db.prepare(`
-                INSERT INTO playlists (name, description) 
-                VALUES (?, ?)
-            `);
-            
-            const result = stmt.run(name, description);
-            
-            return {
-                id: result.lastInsertRowid,
-                name,
-                description,
-                created_at: Date.now()
-            };
+            const smartRules = rules ? this._normalizeSmartRules(rules) : null;
+
+            return this.db.transaction(() => {
+                const stmt = this.db.prepare(`
+                    INSERT INTO playlists (name, description, rules) 
+                    VALUES (?, ?, ?)
+                `);
+
+                const result = stmt.run(name, description, smartRules ? JSON.stringify(smartRules) : null);
+                const playlistId = Number(result.lastInsertRowid);
+
+                if (smartRules) {
+                    this._refreshSmartPlaylist(playlistId, smartRules);
+                }
+
+                return {
+                    id: playlistId,
+                    name,
+                    description,
+                    smart: !!smartRules,
+                    rules: smartRules,
+                    created_at: Date.now()
+                };
+            })();
             
         } catch (error) {
+            if (error instanceof ValidationError) throw error;
             this.logger.error('Failed to create playlist', { name, error: error.message });
             throw new DatabaseError('Failed to create playlist', error);
         }
@@ -331,14 +1544,495 @@ class DatabaseService {
 
     getPlaylists() {
         try {
-            const stmt = this.db.prepare('SELECT * FROM playlists ORDER BY created_at DESC');
-            return stmt.all();
+            this._refreshSmartPlaylists();
+
+            const stmt = this.db.prepare(`
+                SELECT playlists.*,
+                    (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_tracks.playlist_id = playlists.id) AS track_count
+                FROM playlists
+                ORDER BY created_at DESC
+            `);
+            return stmt.all().map(row => this._playlistFromRow(row));
         } catch (error) {
             this.logger.error('Failed to get playlists', { error: error.message });
             throw new DatabaseError('Failed to retrieve playlists', error);
         }
     }
 
+    // Replace (or with null, remove) the rules of a playlist; removing keeps the current tracks
+    setPlaylistRules(playlistId, rules) {
+        try {
+            const smartRules = rules ? this._normalizeSmartRules(rules) : null;
+
+            return this.db.transaction(() => {
+                this._getPlaylistRow(playlistId);
+
+                this.db.prepare(`
+                    UPDATE playlists SET rules = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+                `).run(smartRules ? JSON.stringify(smartRules) : null, playlistId);
+
+                if (smartRules) {
+                    this._refreshSmartPlaylist(playlistId, smartRules);
+                }
+
+                return this._getPlaylistRow(playlistId);
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to set playlist rules', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to set playlist rules', error);
+        }
+    }
+
+    // Playlist with its tracks in play order (positions start at 1)
+    getPlaylist(playlistId) {
+        try {
+            const playlist = this._getPlaylistRow(playlistId);
+            if (playlist.rules) {
+                this.db.transaction(() => this._refreshSmartPlaylist(playlistId, playlist.rules))();
+            }
+
+            const rows = this.db.prepare(`
+                SELECT tracks.*, playlist_tracks.position AS playlist_position
+                FROM playlist_tracks
+                JOIN tracks ON tracks.id = playlist_tracks.track_id
+                WHERE playlist_tracks.playlist_id = ?
+                ORDER BY playlist_tracks.position
+            `).all(playlistId);
+
+            const tracks = rows.map(row => ({ ...this._rowToTrack(row), position: row.playlist_position }));
+            const totalDuration = tracks.reduce((sum, track) => sum + track.duration, 0);
+
+            return {
+                ...playlist,
+                tracks,
+                track_count: tracks.length,
+                total_duration: totalDuration,
+                total_duration_formatted: this._formatDuration(totalDuration)
+            };
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to get playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to retrieve playlist', error);
+        }
+    }
+
+    // Insert tracks at a 1-based position (default: the end); tracks already in the playlist are skipped
+    addTracksToPlaylist(playlistId, trackIds, position = null) {
+        try {
+            this._validateTrackIds(trackIds);
+
+            return this.db.transaction(() => {
+                this._assertManualPlaylist(this._getPlaylistRow(playlistId));
+
+                for (const trackId of trackIds) {
+                    const exists = this.db.prepare('SELECT id FROM tracks WHERE id = ?').get(trackId);
+                    if (!exists) throw new NotFoundError('Track', trackId);
+                }
+
+                const current = this._getPlaylistTrackIds(playlistId);
+                const toAdd = [...new Set(trackIds)].filter(trackId => !current.includes(trackId));
+                const index = this._toPlaylistIndex(position, current.length);
+
+                const insert = this.db.prepare(`
+                    INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (?, ?, ?)
+                `);
+                for (const trackId of toAdd) {
+                    insert.run(playlistId, trackId, 0);
+                }
+
+                current.splice(index, 0, ...toAdd);
+                this._writePlaylistOrder(playlistId, current);
+
+                return {
+                    added: toAdd.length,
+                    skipped: trackIds.length - toAdd.length,
+                    track_count: current.length
+                };
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to add tracks to playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to add tracks to playlist', error);
+        }
+    }
+
+    removeTracksFromPlaylist(playlistId, trackIds) {
+        try {
+            this._validateTrackIds(trackIds);
+
+            return this.db.transaction(() => {
+                this._assertManualPlaylist(this._getPlaylistRow(playlistId));
+
+                const remove = new Set(trackIds);
+                const current = this._getPlaylistTrackIds(playlistId);
+                const remaining = current.filter(trackId => !remove.has(trackId));
+
+                const removeStmt = this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ? AND track_id = ?');
+                for (const trackId of remove) {
+                    removeStmt.run(playlistId, trackId);
+                }
+
+                this._writePlaylistOrder(playlistId, remaining);
+
+                return {
+                    removed: current.length - remaining.length,
+                    track_count: remaining.length
+                };
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to remove tracks from playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to remove tracks from playlist', error);
+        }
+    }
+
+    // Move one track to a new 1-based position
+    movePlaylistTrack(playlistId, trackId, position) {
+        try {
+            Validator.isValidTrackId(trackId);
+            Validator.isPositiveInteger(position, 'position');
+
+            return this.db.transaction(() => {
+                this._assertManualPlaylist(this._getPlaylistRow(playlistId));
+
+                const current = this._getPlaylistTrackIds(playlistId);
+                const from = current.indexOf(trackId);
+                if (from === -1) {
+                    throw new NotFoundError('Playlist track', trackId);
+                }
+
+                current.splice(from, 1);
+                current.splice(Math.min(position - 1, current.length), 0, trackId);
+                this._writePlaylistOrder(playlistId, current);
+
+                return { track_id: trackId, position: current.indexOf(trackId) + 1 };
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to move playlist track', { playlistId, trackId, error: error.message });
+            throw new DatabaseError('Failed to move playlist track', error);
+        }
+    }
+
+    renamePlaylist(playlistId, name, description = undefined) {
+        try {
+            Validator.isNonEmptyString(name, 'name');
+
+            return this.db.transaction(() => {
+                const playlist = this._getPlaylistRow(playlistId);
+                const newDescription = description === undefined ? playlist.description : description;
+
+                this.db.prepare(`
+                    UPDATE playlists SET name = ?, description = ?, updated_at = strftime('%s', 'now')
+                    WHERE id = ?
+                `).run(name, newDescription, playlistId);
+
+                return this._getPlaylistRow(playlistId);
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to rename playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to rename playlist', error);
+        }
+    }
+
+    deletePlaylist(playlistId) {
+        try {
+            return this.db.transaction(() => {
+                const playlist = this._getPlaylistRow(playlistId);
+
+                this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
+                this.db.prepare('DELETE FROM playlists WHERE id = ?').run(playlistId);
+
+                return playlist;
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to delete playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to delete playlist', error);
+        }
+    }
+
+    // Copy a playlist (its track order, or its rules for a smart playlist) under a new name
+    duplicatePlaylist(playlistId, name = null) {
+        try {
+            if (name !== null) {
+                Validator.isNonEmptyString(name, 'name');
+            }
+
+            return this.db.transaction(() => {
+                const source = this._getPlaylistRow(playlistId);
+                const copyName = name || `${source.name} (copy)`;
+
+                const result = this.db.prepare('INSERT INTO playlists (name, description, rules) VALUES (?, ?, ?)')
+                    .run(copyName, source.description, source.rules ? JSON.stringify(source.rules) : null);
+                const copyId = Number(result.lastInsertRowid);
+
+                this.db.prepare(`
+                    INSERT INTO playlist_tracks (playlist_id, track_id, position)
+                    SELECT ?, track_id, position FROM playlist_tracks WHERE playlist_id = ?
+                `).run(copyId, playlistId);
+
+                return this._getPlaylistRow(copyId);
+            })();
+
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) throw error;
+            this.logger.error('Failed to duplicate playlist', { playlistId, error: error.message });
+            throw new DatabaseError('Failed to duplicate playlist', error);
+        }
+    }
+
+    _getPlaylistRow(playlistId) {
+        Validator.isPositiveInteger(playlistId, 'playlist_id');
+
+        const playlist = this.db.prepare('SELECT * FROM playlists WHERE id = ?').get(playlistId);
+        if (!playlist) {
+            throw new NotFoundError('Playlist', playlistId);
+        }
+
+        return this._playlistFromRow(playlist);
+    }
+
+    _playlistFromRow(row) {
+        let rules = null;
+        if (row.rules) {
+            try {
+                rules = JSON.parse(row.rules);
+            } catch (error) {
+                this.logger.warn('Ignoring unreadable smart playlist rules', { playlistId: row.id });
+            }
+        }
+
+        return { ...row, smart: !!rules, rules };
+    }
+
+    _assertManualPlaylist(playlist) {
+        if (playlist.smart) {
+            throw new ValidationError(
+                `Playlist '${playlist.name}' is a smart playlist; change its rules instead of editing tracks`,
+                'playlist_id'
+            );
+        }
+    }
+
+    _refreshSmartPlaylists() {
+        const smartPlaylists = this.db.prepare('SELECT * FROM playlists WHERE rules IS NOT NULL').all()
+            .map(row => this._playlistFromRow(row))
+            .filter(playlist => playlist.smart);
+
+        for (const playlist of smartPlaylists) {
+            try {
+                this.db.transaction(() => this._refreshSmartPlaylist(playlist.id, playlist.rules))();
+            } catch (error) {
+                this.logger.warn('Failed to refresh smart playlist', { playlistId: playlist.id, error: error.message });
+            }
+        }
+    }
+
+    // Re-evaluate the rules and rewrite playlist_tracks with the matching tracks (callers hold a transaction)
+    _refreshSmartPlaylist(playlistId, rules) {
+        const { where, params, order, limit } = this._compileSmartRules(rules);
+
+        const trackIds = this.db.prepare(`
+            SELECT id FROM tracks
+            ${where ? `WHERE ${where}` : ''}
+            ORDER BY ${order}
+            ${limit ? 'LIMIT ?' : ''}
+        `).all(...params, ...(limit ? [limit] : [])).map(row => row.id);
+
+        this.db.prepare('DELETE FROM playlist_tracks WHERE playlist_id = ?').run(playlistId);
+
+        const insert = this.db.prepare('INSERT INTO playlist_tracks (playlist_id, track_id, position) VALUES (?, ?, ?)');
+        trackIds.forEach((trackId, index) => insert.run(playlistId, trackId, index + 1));
+
+        return trackIds.length;
+    }
+
+    // Validate rules given as an object or a JSON string and return their canonical form:
+    // { match: 'all'|'any', conditions: [{ field, op, value }], sort, order, limit }
+    _normalizeSmartRules(rules) {
+        if (typeof rules === 'string') {
+            try {
+                rules = JSON.parse(rules);
+            } catch (error) {
+                throw new ValidationError('rules must be valid JSON', 'rules');
+            }
+        }
+
+        if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+            throw new ValidationError('rules must be an object', 'rules');
+        }
+
+        const { match = 'all', conditions = [], sort = null, order = null, limit = null } = rules;
+
+        if (!['all', 'any'].includes(match)) {
+            throw new ValidationError("rules.match must be 'all' or 'any'", 'rules');
+        }
+
+        // No conditions matches the whole library (e.g. "50 random tracks")
+        if (!Array.isArray(conditions)) {
+            throw new ValidationError('rules.conditions must be an array', 'rules');
+        }
+
+        const normalized = {
+            match,
+            conditions: conditions.map((condition, index) => this._normalizeSmartCondition(condition, index)),
+            sort: sort || null,
+            order: order || null,
+            limit: limit === null || limit === undefined ? null : limit
+        };
+
+        if (normalized.sort && normalized.sort !== 'random' && !SMART_FIELDS[normalized.sort]) {
+            throw new ValidationError(`rules.sort must be 'random' or one of: ${Object.keys(SMART_FIELDS).join(', ')}`, 'rules');
+        }
+
+        if (normalized.order && !['asc', 'desc'].includes(normalized.order)) {
+            throw new ValidationError("rules.order must be 'asc' or 'desc'", 'rules');
+        }
+
+        if (normalized.limit !== null) {
+            Validator.isValidLimit(normalized.limit);
+        }
+
+        return normalized;
+    }
+
+    _normalizeSmartCondition(condition, index) {
+        const label = `rules.conditions[${index}]`;
+
+        if (!condition || typeof condition !== 'object') {
+            throw new ValidationError(`${label} must be an object`, 'rules');
+        }
+
+        const { field, op, value } = condition;
+        const definition = SMART_FIELDS[field];
+        if (!definition) {
+            throw new ValidationError(`${label}.field must be one of: ${Object.keys(SMART_FIELDS).join(', ')}`, 'rules');
+        }
+
+        const operators = SMART_OPERATORS[definition.type];
+        if (!operators.includes(op)) {
+            throw new ValidationError(`${label}.op for ${field} must be one of: ${operators.join(', ')}`, 'rules');
+        }
+
+        if (definition.type === 'text') {
+            Validator.isNonEmptyString(value, `${label}.value`);
+        } else if (op === 'between') {
+            if (!Array.isArray(value) || value.length !== 2) {
+                throw new ValidationError(`${label}.value must be [min, max] for between`, 'rules');
+            }
+            value.forEach(bound => Validator.isNumber(bound, `${label}.value`));
+        } else if (op === 'within_days' || op === 'older_than_days') {
+            Validator.isNumber(value, `${label}.value`);
+        } else if (op === 'before' || op === 'after') {
+            this._toTimestamp(value, `${label}.value`);
+        } else if (op !== 'never') {
+            Validator.isNumber(value, `${label}.value`);
+        }
+
+        return op === 'never' ? { field, op } : { field, op, value };
+    }
+
+    // Compile normalized rules into a parameterised WHERE clause; only whitelisted columns reach the SQL
+    _compileSmartRules(rules) {
+        const normalized = this._normalizeSmartRules(rules);
+        const clauses = [];
+        const params = [];
+        const now = Math.floor(Date.now() / 1000);
+
+        for (const { field, op, value } of normalized.conditions) {
+            const { column, type } = SMART_FIELDS[field];
+
+            if (type === 'text') {
+                const folded = Normalizer.fold(value);
+                switch (op) {
+                    case '=': clauses.push(`${column} = ?`); params.push(folded); break;
+                    case '!=': clauses.push(`(${column} IS NULL OR ${column} != ?)`); params.push(folded); break;
+                    case 'contains': clauses.push(`${column} LIKE ?`); params.push(`%${folded}%`); break;
+                    case 'not_contains': clauses.push(`(${column} IS NULL OR ${column} NOT LIKE ?)`); params.push(`%${folded}%`); break;
+                    case 'starts_with': clauses.push(`${column} LIKE ?`); params.push(`${folded}%`); break;
+                }
+            } else if (type === 'number') {
+                if (op === 'between') {
+                    clauses.push(`${column} BETWEEN ? AND ?`);
+                    params.push(Math.min(...value), Math.max(...value));
+                } else {
+                    clauses.push(`${column} ${op} ?`);
+                    params.push(value);
+                }
+            } else {
+                switch (op) {
+                    case 'within_days': clauses.push(`${column} >= ?`); params.push(now - value * 86400); break;
+                    // Never played counts as "not played in the last N days"
+                    case 'older_than_days': clauses.push(`(${column} IS NULL OR ${column} < ?)`); params.push(now - value * 86400); break;
+                    case 'before': clauses.push(`${column} < ?`); params.push(this._toTimestamp(value, field)); break;
+                    case 'after': clauses.push(`${column} >= ?`); params.push(this._toTimestamp(value, field)); break;
+                    case 'never': clauses.push(`${column} IS NULL`); break;
+                }
+            }
+        }
+
+        let order = 'artist_folded, album_folded, track_number, id';
+        if (normalized.sort === 'random') {
+            order = 'RANDOM()';
+        } else if (normalized.sort) {
+            const direction = normalized.order === 'desc' ? 'DESC' : 'ASC';
+            order = `${SMART_FIELDS[normalized.sort].column} ${direction}, id`;
+        }
+
+        return {
+            where: clauses.join(normalized.match === 'any' ? ' OR ' : ' AND '),
+            params,
+            order,
+            limit: normalized.limit
+        };
+    }
+
+    _getPlaylistTrackIds(playlistId) {
+        return this.db.prepare('SELECT track_id FROM playlist_tracks WHERE playlist_id = ? ORDER BY position, id')
+            .all(playlistId)
+            .map(row => row.track_id);
+    }
+
+    // Rewrite positions as 1..n in the given order so they stay contiguous
+    _writePlaylistOrder(playlistId, trackIds) {
+        const update = this.db.prepare('UPDATE playlist_tracks SET position = ? WHERE playlist_id = ? AND track_id = ?');
+        trackIds.forEach((trackId, index) => update.run(index + 1, playlistId, trackId));
+
+        this.db.prepare(`UPDATE playlists SET updated_at = strftime('%s', 'now') WHERE id = ?`).run(playlistId);
+    }
+
+    _toPlaylistIndex(position, length) {
+        if (position === null || position === undefined) {
+            return length;
+        }
+
+        Validator.isPositiveInteger(position, 'position');
+        return Math.min(position - 1, length);
+    }
+
+    _validateTrackIds(trackIds) {
+        if (!Array.isArray(trackIds) || trackIds.length === 0) {
+            throw new ValidationError('track_ids must be a non-empty array', 'track_ids');
+        }
+
+        trackIds.forEach(trackId => Validator.isValidTrackId(trackId));
+    }
+
+    // Run several service calls atomically; nested transactions become savepoints
+    runInTransaction(fn) {
+        return this.db.transaction(fn)();
+    }
+
     // Close database connection
     close() {
         if (this.db) {
@@ -0,0 +1,330 @@
+/**
+ * Library Scanner
+ * Walks the configured music directories and populates the tracks table from file tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFile } = require('music-metadata');
+const AlbumArtService = require('./AlbumArtService');
+
+class LibraryScanner {
+    constructor(config, databaseService, logger) {
+        this.config = config;
+        this.database = databaseService;
+        this.logger = logger || console;
+
+        this.audioExtensions = new Set(config.getAudioExtensions());
+        this.batchSize = config.library.scanBatchSize;
+        this.isScanning = false;
+
+        // Settles when the running scan ends
+        this.scanFinished = null;
+    }
+
+    async scan(options = {}) {
+        const {
+            directories = null,
+            incremental = false,
+            prune = incremental
+        } = options;
+
+        if (this.isScanning) {
+            throw new Error('A library scan is already running');
+        }
+
+        this.isScanning = true;
+        let finishScan;
+        this.scanFinished = new Promise(resolve => {
+            finishScan = resolve;
+        });
+
+        const startedAt = Date.now();
+        const summary = {
+            mode: incremental ? 'incremental' : 'full',
+            directories: [],
+            scanned: 0,
+            added: 0,
+            updated: 0,
+            unchanged: 0,
+            removed: 0,
+            failed: 0
+        };
+
+        try {
+            const roots = this.resolveRoots(directories || this.config.getMusicDirectories());
+            this.logger.info('Starting library scan', { mode: summary.mode, directories: roots });
+
+            // Known files with their size and mtime, used to skip unchanged files and detect removals
+            const index = new Map();
+            if (incremental || prune) {
+                for (const entry of this.database.getTrackFileIndex()) {
+                    index.set(this._pathKey(entry.filepath), entry);
+                }
+            }
+            const seen = new Set();
+
+            let batch = [];
+            for (const root of roots) {
+                summary.directories.push(root);
+
+                for await (const filePath of this._walk(root)) {
+                    const known = index.get(this._pathKey(filePath));
+                    seen.add(this._pathKey(filePath));
+                    summary.scanned++;
+
+                    let stats;
+                    try {
+                        stats = await fs.promises.stat(filePath);
+                    } catch (error) {
+                        this.logger.warn('Failed to stat file', { filePath, error: error.message });
+                        summary.failed++;
+                        continue;
+                    }
+
+                    if (incremental && this._isUnchanged(known, stats)) {
+                        await this._backfillTags(known, stats);
+                        summary.unchanged++;
+                        continue;
+                    }
+
+                    const track = await this.readTrack(filePath, stats);
+                    if (!track) {
+                        summary.failed++;
+                        continue;
+                    }
+
+                    // Keep the stored spelling so the upsert hits the existing row
+                    if (known) {
+                        track.filepath = known.filepath;
+                    }
+
+                    batch.push(track);
+                    if (batch.length >= this.batchSize) {
+                        this._flush(batch, summary);
+                        batch = [];
+                    }
+                }
+            }
+
+            this._flush(batch, summary);
+
+            // Only prune below directories that were actually reachable, so an unplugged
+            // drive does not wipe its part of the library
+            if (prune) {
+                const vanished = [];
+                for (const [key, entry] of index) {
+                    if (!seen.has(key) && roots.some(root => this._isUnderRoot(entry.filepath, root))) {
+                        vanished.push(entry.id);
+                    }
+                }
+
+                if (vanished.length > 0) {
+                    summary.removed = this.database.deleteTracks(vanished);
+                    this.logger.info('Removed vanished tracks', { count: summary.removed });
+                }
+            }
+
+            summary.duration_ms = Date.now() - startedAt;
+            this.logger.info('Library scan completed', summary);
+
+            return summary;
+
+        } finally {
+            this.isScanning = false;
+            finishScan();
+        }
+    }
+
+    // Apply changes for individual files or directories, e.g. from filesystem events
+    async syncPaths(paths) {
+        // A scan prunes rows missing from the file index it read when it started, which would
+        // include tracks added here meanwhile; apply the changes once it is done
+        while (this.isScanning) {
+            await this.scanFinished;
+        }
+
+        const summary = {
+            scanned: 0,
+            added: 0,
+            updated: 0,
+            unchanged: 0,
+            removed: 0,
+            failed: 0
+        };
+
+        const batch = [];
+        const visited = new Set();
+        for (const targetPath of paths) {
+            let stats;
+            try {
+                stats = await fs.promises.stat(targetPath);
+            } catch (error) {
+                summary.removed += this.database.deleteTracksUnderPath(targetPath);
+                continue;
+            }
+
+            if (stats.isDirectory()) {
+                for await (const filePath of this._walk(targetPath)) {
+                    await this._syncFile(filePath, null, batch, summary, visited);
+                }
+            } else if (stats.isFile() && this.isAudioFile(targetPath)) {
+                await this._syncFile(targetPath, stats, batch, summary, visited);
+            }
+        }
+
+        this._flush(batch, summary);
+
+        return summary;
+    }
+
+    async _syncFile(filePath, stats, batch, summary, visited) {
+        // A file may be reported both on its own and through its parent directory
+        if (visited.has(filePath)) return;
+        visited.add(filePath);
+        summary.scanned++;
+
+        try {
+            stats = stats || await fs.promises.stat(filePath);
+        } catch (error) {
+            summary.failed++;
+            return;
+        }
+
+        const entry = this.database.getTrackFileEntry(filePath);
+        if (this._isUnchanged(entry, stats)) {
+            await this._backfillTags(entry, stats);
+            summary.unchanged++;
+            return;
+        }
+
+        const track = await this.readTrack(filePath, stats);
+        if (track) {
+            batch.push(track);
+        } else {
+            summary.failed++;
+        }
+    }
+
+    async readTrack(filePath, stats = null) {
+        try {
+            stats = stats || await fs.promises.stat(filePath);
+            // Covers are read only to note whether the track has one; the art route extracts them
+            const metadata = await parseFile(filePath, { duration: true, skipCovers: false });
+            const { common, format } = metadata;
+            const hasEmbeddedArt = (common.picture || []).some(picture => picture.data?.length > 0);
+
+            return {
+                filepath: filePath,
+                title: common.title || path.basename(filePath, path.extname(filePath)),
+                artist: common.artist || (common.artists && common.artists.join(', ')) || null,
+                album: common.album || null,
+                album_artist: common.albumartist || null,
+                duration: format.duration ? Math.round(format.duration * 100) / 100 : null,
+                track_number: common.track?.no || null,
+                disc_number: common.disk?.no || null,
+                year: common.year || null,
+                genre: common.genre?.[0] || null,
+                composer: common.composer?.join(', ') || null,
+                file_size: stats.size,
+                last_modified: Math.floor(stats.mtimeMs / 1000),
+                has_art: hasEmbeddedArt || AlbumArtService.findFolderImage(path.dirname(filePath)) !== null
+            };
+
+        } catch (error) {
+            this.logger.warn('Failed to read track tags', { filePath, error: error.message });
+            return null;
+        }
+    }
+
+    // Unchanged files scanned before newer columns existed get just those columns read
+    async _backfillTags(entry, stats) {
+        if (!entry.tags_pending) return;
+
+        const track = await this.readTrack(entry.filepath, stats);
+        if (track) {
+            this.database.backfillTrackTags(entry.id, track);
+        }
+    }
+
+    isAudioFile(filePath) {
+        return this.audioExtensions.has(path.extname(filePath).toLowerCase());
+    }
+
+    // Resolve configured roots to their canonical path, dropping missing and duplicate ones
+    resolveRoots(directories) {
+        const roots = [];
+
+        for (const directory of directories) {
+            if (!fs.existsSync(directory)) {
+                this.logger.warn('Music directory not found, skipping', { directory });
+                continue;
+            }
+
+            const root = fs.realpathSync.native(directory);
+            if (!roots.includes(root)) {
+                roots.push(root);
+            }
+        }
+
+        return roots;
+    }
+
+    _isUnchanged(entry, stats) {
+        if (!entry) return false;
+
+        return entry.file_size === stats.size &&
+            Math.floor(entry.last_modified) === Math.floor(stats.mtimeMs / 1000);
+    }
+
+    _isUnderRoot(filePath, root) {
+        const prefix = root.endsWith(path.sep) ? root : root + path.sep;
+        return this._pathKey(filePath).startsWith(this._pathKey(prefix));
+    }
+
+    // Windows paths are case-insensitive and may be stored with either separator
+    _pathKey(filePath) {
+        if (process.platform === 'win32') {
+            return filePath.replace(/\//g, '\\').toLowerCase();
+        }
+        return filePath;
+    }
+
+    async *_walk(directory) {
+        let entries;
+        try {
+            entries = await fs.promises.readdir(directory, { withFileTypes: true });
+        } catch (error) {
+            this.logger.warn('Failed to read directory', { directory, error: error.message });
+            return;
+        }
+
+        for (const entry of entries) {
+            const fullPath = path.join(directory, entry.name);
+
+            if (entry.isDirectory()) {
+                yield* this._walk(fullPath);
+            } else if (entry.isFile() && this.isAudioFile(fullPath)) {
+                yield fullPath;
+            }
+        }
+    }
+
+    _flush(batch, summary) {
+        if (batch.length === 0) return;
+
+        const { added, updated } = this.database.upsertTracks(batch);
+        summary.added += added;
+        summary.updated += updated;
+
+        this.logger.info('Scan progress', {
+            scanned: summary.scanned,
+            added: summary.added,
+            updated: summary.updated,
+            unchanged: summary.unchanged,
+            failed: summary.failed
+        });
+    }
+}
+
+module.exports = LibraryScanner;
@@ -0,0 +1,189 @@
+/**
+ * Library Watcher
+ * Keeps the tracks table in sync with the music directories while the server runs
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LibraryWatcher {
+    constructor(config, libraryScanner, logger) {
+        this.config = config;
+        this.scanner = libraryScanner;
+        this.logger = logger || console;
+
+        this.debounce = config.library.watchDebounce;
+        this.watchers = new Map();
+        this.pendingPaths = new Set();
+        this.flushTimer = null;
+        this.isFlushing = false;
+        this.isRunning = false;
+    }
+
+    start() {
+        if (this.isRunning) return;
+
+        const roots = this.scanner.resolveRoots(this.config.getMusicDirectories());
+
+        let watched = 0;
+        for (const root of roots) {
+            try {
+                this._watchRoot(root);
+                watched++;
+                this.logger.debug('Watching music directory', { directory: root });
+
+            } catch (error) {
+                this.logger.warn('Failed to watch music directory', { directory: root, error: error.message });
+            }
+        }
+
+        this.isRunning = this.watchers.size > 0;
+        this.logger.info('Library watcher started', { directories: watched });
+    }
+
+    stop() {
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+
+        clearTimeout(this.flushTimer);
+        this.watchers.clear();
+        this.pendingPaths.clear();
+        this.flushTimer = null;
+        this.isRunning = false;
+
+        this.logger.info('Library watcher stopped');
+    }
+
+    _watchRoot(root) {
+        try {
+            this._watch(root, { recursive: true });
+        } catch (error) {
+            // Recursive watching is not available on Linux before Node 20
+            if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+
+            this.logger.debug('Recursive watch unsupported, watching each directory', { directory: root });
+            this._watchTree(root);
+        }
+    }
+
+    _watch(directory, options = {}) {
+        const watcher = fs.watch(directory, options, (eventType, filename) => {
+            if (!filename) return;
+
+            const fullPath = path.join(directory, filename.toString());
+            this._queue(fullPath);
+
+            if (!options.recursive && eventType === 'rename') {
+                this._watchNewDirectory(fullPath);
+            }
+        });
+
+        watcher.on('error', (error) => {
+            this.logger.warn('Library watcher error', { directory, error: error.message });
+            this._unwatch(directory);
+        });
+
+        this.watchers.set(directory, watcher);
+    }
+
+    // Watch a directory and everything below it, one watcher per directory
+    _watchTree(directory) {
+        if (this.watchers.has(directory)) return;
+        this._watch(directory);
+
+        let entries;
+        try {
+            entries = fs.readdirSync(directory, { withFileTypes: true });
+        } catch (error) {
+            this.logger.warn('Failed to read directory', { directory, error: error.message });
+            return;
+        }
+
+        for (const entry of entries) {
+            if (!entry.isDirectory()) continue;
+
+            const subdirectory = path.join(directory, entry.name);
+            try {
+                this._watchTree(subdirectory);
+            } catch (error) {
+                this.logger.warn('Failed to watch music directory', { directory: subdirectory, error: error.message });
+            }
+        }
+    }
+
+    _watchNewDirectory(fullPath) {
+        let stats;
+        try {
+            stats = fs.statSync(fullPath);
+        } catch (error) {
+            // Removed or renamed away; drop any watchers that were under it
+            this._unwatch(fullPath);
+            return;
+        }
+
+        if (!stats.isDirectory() || this.watchers.has(fullPath)) return;
+
+        try {
+            this._watchTree(fullPath);
+        } catch (error) {
+            this.logger.warn('Failed to watch new directory', { directory: fullPath, error: error.message });
+        }
+    }
+
+    _unwatch(directory) {
+        const prefix = directory + path.sep;
+        for (const [watchedPath, watcher] of this.watchers) {
+            if (watchedPath === directory || watchedPath.startsWith(prefix)) {
+                watcher.close();
+                this.watchers.delete(watchedPath);
+            }
+        }
+    }
+
+    // Collect event paths and apply them once the directory has been quiet for a while,
+    // so a large copy is processed in one pass instead of one event at a time
+    _queue(filePath) {
+        this.pendingPaths.add(filePath);
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this._flush(), this.debounce);
+    }
+
+    async _flush() {
+        this.flushTimer = null;
+
+        if (this.isFlushing) {
+            // A flush is in progress; pick up these paths when it finishes
+            return;
+        }
+
+        if (this.pendingPaths.size === 0) return;
+
+        const paths = Array.from(this.pendingPaths);
+        this.pendingPaths.clear();
+        this.isFlushing = true;
+
+        try {
+            this.logger.debug('Applying library changes', { paths: paths.length });
+
+            const summary = await this.scanner.syncPaths(paths);
+
+            if (summary.added || summary.updated || summary.removed || summary.failed) {
+                this.logger.info('Library updated from filesystem changes', summary);
+            }
+
+        } catch (error) {
+            this.logger.error('Failed to apply library changes', { error: error.message });
+
+        } finally {
+            this.isFlushing = false;
+
+            if (this.pendingPaths.size > 0 && !this.flushTimer) {
+                this.flushTimer = setTimeout(() => this._flush(), this.debounce);
+            }
+        }
+    }
+}
+
+module.exports = LibraryWatcher;
@@ -0,0 +1,158 @@
+/**
+ * Play History Service
+ * Turns playback events from Chromecast devices and HTTP streams into play_history rows
+ */
+
+// A play counts as completed after half the track or four minutes, whichever comes first
+const COMPLETED_RATIO = 0.5;
+const COMPLETED_SECONDS = 240;
+
+class PlayHistoryService {
+    constructor(config, databaseService, logger) {
+        this.config = config;
+        this.database = databaseService;
+        this.logger = logger || console;
+
+        // Open play per device (or stream client): { historyId, trackId, duration, startedAt, playedMs, playingSince }.
+        // Stream plays also carry openStreams and streamedSeconds, the share of the track actually sent
+        this.sessions = new Map();
+    }
+
+    // A new track started on a device; any play still open there has ended
+    trackStarted(trackId, { deviceName, source }) {
+        try {
+            this.trackEnded(deviceName);
+
+            const track = this.database.getTrackById(trackId);
+            const historyId = this.database.recordPlayStart(trackId, { deviceName, source });
+
+            this.sessions.set(deviceName, {
+                historyId,
+                trackId,
+                duration: track.duration || 0,
+                startedAt: Date.now(),
+                playedMs: 0,
+                playingSince: Date.now()
+            });
+
+            this.logger.debug('Play started', { trackId, deviceName, source, historyId });
+
+        } catch (error) {
+            this.logger.warn('Failed to record play start', { trackId, deviceName, error: error.message });
+        }
+    }
+
+    // Pause/resume bookkeeping so listened time excludes paused periods
+    setPlaying(deviceName, isPlaying) {
+        const session = this.sessions.get(deviceName);
+        if (session) {
+            this._setSessionPlaying(session, isPlaying);
+        }
+    }
+
+    // Close the open play on a device; completed defaults to the listened-time rule
+    trackEnded(deviceName, { completed = null } = {}) {
+        const session = this.sessions.get(deviceName);
+        if (!session) return;
+
+        this.sessions.delete(deviceName);
+        this._setSessionPlaying(session, false);
+
+        let listenedSeconds = session.streamedSeconds ?? session.playedMs / 1000;
+        if (session.duration > 0) {
+            listenedSeconds = Math.min(listenedSeconds, session.duration);
+        }
+
+        const isCompleted = completed !== null ? completed : this._isCompleted(listenedSeconds, session.duration);
+
+        try {
+            this.database.recordPlayEnd(session.historyId, {
+                listenedSeconds: Math.round(listenedSeconds),
+                completed: isCompleted
+            });
+
+            this.logger.debug('Play ended', {
+                trackId: session.trackId,
+                deviceName,
+                listenedSeconds: Math.round(listenedSeconds),
+                completed: isCompleted
+            });
+
+        } catch (error) {
+            this.logger.warn('Failed to record play end', { trackId: session.trackId, deviceName, error: error.message });
+        }
+    }
+
+    // HTTP clients request the same file repeatedly (ranges, seeks); only a new track starts a play
+    recordStreamRequest(trackId, client) {
+        const deviceName = `stream:${client}`;
+        const session = this.sessions.get(deviceName);
+
+        if (session && session.trackId === trackId) {
+            const windowMs = Math.max(session.duration, 30) * 1000;
+            if (Date.now() - session.startedAt < windowMs) {
+                return;
+            }
+        }
+
+        this.trackStarted(trackId, { deviceName, source: 'stream' });
+
+        const started = this.sessions.get(deviceName);
+        if (started) {
+            started.openStreams = 0;
+            started.streamedSeconds = 0;
+        }
+    }
+
+    // A response is being sent for a stream play (the first request or a seek); false when
+    // no play is open for this track and client
+    streamOpened(trackId, client) {
+        const session = this.sessions.get(`stream:${client}`);
+        if (!session || session.trackId !== trackId) return false;
+
+        session.openStreams++;
+        return true;
+    }
+
+    // A stream response finished or was cut off. It adds the share of the file it sent, or the time
+    // spent sending when the size is unknown (live transcodes); the play ends once no response is open
+    streamClosed(trackId, client, { bytes, fileSize, elapsedMs }) {
+        const deviceName = `stream:${client}`;
+        const session = this.sessions.get(deviceName);
+        if (!session || session.trackId !== trackId) return;
+
+        session.streamedSeconds += fileSize > 0 && session.duration > 0
+            ? session.duration * Math.min(bytes / fileSize, 1)
+            : elapsedMs / 1000;
+
+        session.openStreams--;
+        if (session.openStreams <= 0) {
+            this.trackEnded(deviceName);
+        }
+    }
+
+    // Close every open play, e.g. on shutdown
+    finishAll() {
+        for (const deviceName of Array.from(this.sessions.keys())) {
+            this.trackEnded(deviceName);
+        }
+    }
+
+    _setSessionPlaying(session, isPlaying) {
+        if (isPlaying && !session.playingSince) {
+            session.playingSince = Date.now();
+        } else if (!isPlaying && session.playingSince) {
+            session.playedMs += Date.now() - session.playingSince;
+            session.playingSince = null;
+        }
+    }
+
+    _isCompleted(listenedSeconds, duration) {
+        if (duration > 0 && listenedSeconds >= duration * COMPLETED_RATIO) {
+            return true;
+        }
+        return listenedSeconds >= COMPLETED_SECONDS;
+    }
+}
+
+module.exports = PlayHistoryService;
@@ -0,0 +1,494 @@
+/**
+ * Playlist File Service
+ * Imports and exports M3U/M3U8, PLS and XSPF playlists, matching entries against the library
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError, NotFoundError } = require('../utils/errors');
+const Validator = require('../utils/validator');
+
+const FORMATS = ['m3u', 'm3u8', 'pls', 'xspf'];
+
+const CONTENT_TYPES = {
+    m3u: 'audio/x-mpegurl',
+    m3u8: 'application/vnd.apple.mpegurl',
+    pls: 'audio/x-scpls',
+    xspf: 'application/xspf+xml'
+};
+
+class PlaylistFileService {
+    constructor(config, databaseService, logger) {
+        this.config = config;
+        this.database = databaseService;
+        this.logger = logger || console;
+    }
+
+    getFormats() {
+        return FORMATS;
+    }
+
+    getContentType(format) {
+        return CONTENT_TYPES[format] || 'text/plain';
+    }
+
+    // Import a playlist file (or its raw content) into a new or existing playlist.
+    // Entries that can't be matched to a library track are reported, not fatal
+    importPlaylist({ filePath = null, content = null, format = null, name = null, playlistId = null } = {}) {
+        let baseDir = null;
+
+        if (filePath) {
+            Validator.isNonEmptyString(filePath, 'file_path');
+            if (!fs.existsSync(filePath)) {
+                throw new NotFoundError('Playlist file', filePath);
+            }
+
+            content = this._readText(filePath);
+            baseDir = path.dirname(filePath);
+            format = format || this.detectFormat(filePath, content);
+        } else {
+            Validator.isNonEmptyString(content, 'content');
+            format = format || this.detectFormat(null, content);
+        }
+
+        this._validateFormat(format);
+
+        if (playlistId) {
+            this.database.getPlaylist(playlistId);
+        }
+
+        const parsed = this.parse(content, format);
+        const { matches, unmatched } = this.resolveEntries(parsed.entries, baseDir);
+        const trackIds = [...new Set(matches.map(match => match.trackId))];
+
+        this.logger.info('Playlist file parsed', {
+            format,
+            entries: parsed.entries.length,
+            matched: matches.length,
+            unmatched: unmatched.length
+        });
+
+        const result = this.database.runInTransaction(() => {
+            let targetId = playlistId;
+
+            if (!targetId) {
+                if (trackIds.length === 0) {
+                    return null;
+                }
+
+                const playlistName = name || parsed.title || (filePath ? path.basename(filePath, path.extname(filePath)) : 'Imported playlist');
+                targetId = Number(this.database.createPlaylist(playlistName, filePath ? `Imported from ${path.basename(filePath)}` : '').id);
+            }
+
+            const added = trackIds.length > 0
+                ? this.database.addTracksToPlaylist(targetId, trackIds)
+                : { added: 0, skipped: 0 };
+
+            return { playlistId: targetId, ...added };
+        });
+
+        const playlist = result ? this.database.getPlaylist(result.playlistId) : null;
+
+        return {
+            playlist: playlist ? { id: playlist.id, name: playlist.name, track_count: playlist.track_count } : null,
+            format,
+            total_entries: parsed.entries.length,
+            matched: matches.length,
+            added: result ? result.added : 0,
+            duplicates: result ? result.skipped : 0,
+            unmatched
+        };
+    }
+
+    // Render a playlist; locations are file paths for other players or streaming URLs for cast devices
+    exportPlaylist(playlistId, { format = 'm3u8', filePath = null, locations = 'path' } = {}) {
+        this._validateFormat(format);
+
+        if (!['path', 'stream'].includes(locations)) {
+            throw new ValidationError("locations must be 'path' or 'stream'", 'locations');
+        }
+
+        const playlist = this.database.getPlaylist(playlistId);
+        const locate = locations === 'stream'
+            ? (track) => this._streamingUrl(track)
+            : (track) => track.filepath;
+
+        const content = this.render(playlist, format, locate);
+
+        if (filePath) {
+            Validator.isNonEmptyString(filePath, 'file_path');
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, content, 'utf8');
+
+            this.logger.info('Playlist exported', { playlistId, format, filePath, tracks: playlist.tracks.length });
+        }
+
+        return {
+            playlist: { id: playlist.id, name: playlist.name },
+            format,
+            file_path: filePath,
+            track_count: playlist.tracks.length,
+            content
+        };
+    }
+
+    detectFormat(filePath, content = '') {
+        const ext = filePath ? path.extname(filePath).slice(1).toLowerCase() : '';
+        if (FORMATS.includes(ext)) {
+            return ext;
+        }
+
+        const head = (content || '').replace(/^\uFEFF/, '').trimStart().slice(0, 200).toLowerCase();
+        if (head.startsWith('[playlist]')) return 'pls';
+        if (head.startsWith('<?xml') || head.includes('<playlist')) return 'xspf';
+        return 'm3u8';
+    }
+
+    parse(content, format) {
+        const text = content.replace(/^\uFEFF/, '');
+
+        switch (format) {
+            case 'm3u':
+            case 'm3u8':
+                return this._parseM3u(text);
+            case 'pls':
+                return this._parsePls(text);
+            case 'xspf':
+                return this._parseXspf(text);
+            default:
+                throw new ValidationError(`Unsupported playlist format: ${format}`, 'format');
+        }
+    }
+
+    render(playlist, format, locate) {
+        switch (format) {
+            case 'm3u':
+            case 'm3u8':
+                return this._renderM3u(playlist, locate);
+            case 'pls':
+                return this._renderPls(playlist, locate);
+            case 'xspf':
+                return this._renderXspf(playlist, locate);
+            default:
+                throw new ValidationError(`Unsupported playlist format: ${format}`, 'format');
+        }
+    }
+
+    // Match entries to tracks: full path, then the trailing folders + filename (libraries moved
+    // between machines or drive letters), then a unique filename, then title and artist
+    resolveEntries(entries, baseDir = null) {
+        const index = this._buildPathIndex();
+        const matches = [];
+        const unmatched = [];
+
+        entries.forEach((entry, position) => {
+            const match = this._matchEntry(entry, baseDir, index);
+
+            if (match) {
+                matches.push({ position: position + 1, trackId: match.trackId, matchedBy: match.matchedBy });
+            } else {
+                unmatched.push({
+                    position: position + 1,
+                    location: entry.location,
+                    title: entry.title || null,
+                    artist: entry.artist || null
+                });
+            }
+        });
+
+        return { matches, unmatched };
+    }
+
+    _matchEntry(entry, baseDir, index) {
+        const location = entry.location || '';
+
+        // Our own streaming URLs carry the track ID
+        const streamMatch = location.match(/^https?:\/\/[^/]+\/stream\/(\d+)(?:\.\w+)?$/i);
+        if (streamMatch && index.ids.has(Number(streamMatch[1]))) {
+            return { trackId: Number(streamMatch[1]), matchedBy: 'stream_url' };
+        }
+
+        if (location && !/^https?:\/\//i.test(location)) {
+            const localPath = this._resolveLocation(location, baseDir);
+            const key = this._pathKey(localPath);
+
+            if (index.byPath.has(key)) {
+                return { trackId: index.byPath.get(key), matchedBy: 'path' };
+            }
+
+            const segments = key.split('/').filter(Boolean);
+            for (const depth of [3, 2]) {
+                if (segments.length < depth) continue;
+
+                const ids = index.bySuffix.get(segments.slice(-depth).join('/'));
+                if (ids && ids.size === 1) {
+                    return { trackId: [...ids][0], matchedBy: 'path_suffix' };
+                }
+            }
+
+            const ids = index.bySuffix.get(segments[segments.length - 1]);
+            if (ids && ids.size === 1) {
+                return { trackId: [...ids][0], matchedBy: 'filename' };
+            }
+        }
+
+        if (entry.title) {
+            const candidates = this.database.findTracksByTitle(entry.title, entry.artist || null);
+            if (candidates.length === 1) {
+                return { trackId: candidates[0].id, matchedBy: 'title' };
+            }
+        }
+
+        return null;
+    }
+
+    _buildPathIndex() {
+        const byPath = new Map();
+        const bySuffix = new Map();
+        const ids = new Set();
+
+        for (const { id, filepath } of this.database.getTrackFileIndex()) {
+            const key = this._pathKey(filepath);
+            const segments = key.split('/').filter(Boolean);
+
+            ids.add(id);
+            byPath.set(key, id);
+
+            for (const depth of [1, 2, 3]) {
+                if (segments.length < depth) continue;
+
+                const suffix = segments.slice(-depth).join('/');
+                if (!bySuffix.has(suffix)) bySuffix.set(suffix, new Set());
+                bySuffix.get(suffix).add(id);
+            }
+        }
+
+        return { byPath, bySuffix, ids };
+    }
+
+    // Turn a playlist location (file URI, Windows, POSIX or relative path) into a path string
+    _resolveLocation(location, baseDir) {
+        let localPath = location.trim();
+
+        if (/^file:\/\//i.test(localPath)) {
+            localPath = decodeURIComponent(localPath.replace(/^file:\/\/(localhost)?/i, ''));
+            // file:///C:/Music -> C:/Music
+            localPath = localPath.replace(/^\/([a-zA-Z]:[\\/])/, '$1');
+        }
+
+        const isAbsolute = /^[a-zA-Z]:[\\/]/.test(localPath) || /^[\\/]/.test(localPath);
+        if (!isAbsolute && baseDir) {
+            localPath = path.join(baseDir, localPath.replace(/\\/g, '/'));
+        }
+
+        return localPath;
+    }
+
+    // Comparable form of a path: forward slashes, no duplicate separators or dot segments, lowercase
+    _pathKey(filePath) {
+        const segments = [];
+
+        for (const segment of String(filePath).replace(/\\/g, '/').split('/')) {
+            if (segment === '' || segment === '.') continue;
+            if (segment === '..') {
+                segments.pop();
+                continue;
+            }
+            segments.push(segment);
+        }
+
+        return segments.join('/').toLowerCase();
+    }
+
+    _streamingUrl(track) {
+        const ext = path.extname(track.filepath || '') || '.mp3';
+        return `${this.config.getBaseUrl()}/stream/${track.id}${ext}`;
+    }
+
+    _parseM3u(text) {
+        const entries = [];
+        let title = null;
+        let pending = null;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (line.startsWith('#EXTINF:')) {
+                // #EXTINF:<seconds>,<artist> - <title>
+                const [durationPart, ...rest] = line.slice('#EXTINF:'.length).split(',');
+                pending = {
+                    duration: parseInt(durationPart, 10) > 0 ? parseInt(durationPart, 10) : null,
+                    ...this._splitDisplayTitle(rest.join(','))
+                };
+            } else if (line.startsWith('#PLAYLIST:')) {
+                title = line.slice('#PLAYLIST:'.length).trim() || null;
+            } else if (!line.startsWith('#')) {
+                entries.push({ location: line, ...(pending || {}) });
+                pending = null;
+            }
+        }
+
+        return { title, entries };
+    }
+
+    _parsePls(text) {
+        const fields = new Map();
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const match = rawLine.trim().match(/^(File|Title|Length)(\d+)=(.*)$/i);
+            if (!match) continue;
+
+            const number = parseInt(match[2], 10);
+            if (!fields.has(number)) fields.set(number, {});
+            fields.get(number)[match[1].toLowerCase()] = match[3].trim();
+        }
+
+        const entries = [...fields.keys()]
+            .sort((a, b) => a - b)
+            .map(number => fields.get(number))
+            .filter(field => field.file)
+            .map(field => ({
+                location: field.file,
+                duration: parseInt(field.length, 10) > 0 ? parseInt(field.length, 10) : null,
+                ...this._splitDisplayTitle(field.title || '')
+            }));
+
+        return { title: null, entries };
+    }
+
+    _parseXspf(text) {
+        const tag = (xml, name) => {
+            const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+            return match ? this._decodeXml(match[1].trim()) : null;
+        };
+
+        // The playlist title is the <title> that comes before the track list
+        const title = tag(text.replace(/<trackList[\s\S]*$/i, ''), 'title');
+        const entries = [];
+
+        for (const match of text.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+            const xml = match[1];
+            const duration = parseInt(tag(xml, 'duration'), 10);
+
+            entries.push({
+                location: tag(xml, 'location') || '',
+                title: tag(xml, 'title'),
+                artist: tag(xml, 'creator'),
+                duration: duration > 0 ? Math.round(duration / 1000) : null
+            });
+        }
+
+        return { title, entries };
+    }
+
+    // "Artist - Title" display strings; without a separator the whole string is the title
+    _splitDisplayTitle(display) {
+        const text = display.trim();
+        if (!text) return {};
+
+        const separator = text.indexOf(' - ');
+        if (separator === -1) {
+            return { title: text };
+        }
+
+        return {
+            artist: text.slice(0, separator).trim() || null,
+            title: text.slice(separator + 3).trim() || null
+        };
+    }
+
+    _renderM3u(playlist, locate) {
+        const lines = ['#EXTM3U', `#PLAYLIST:${playlist.name}`];
+
+        for (const track of playlist.tracks) {
+            const duration = track.duration > 0 ? Math.round(track.duration) : -1;
+            lines.push(`#EXTINF:${duration},${track.artist} - ${track.title}`);
+            lines.push(locate(track));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    _renderPls(playlist, locate) {
+        const lines = ['[playlist]'];
+
+        playlist.tracks.forEach((track, index) => {
+            const number = index + 1;
+            lines.push(`File${number}=${locate(track)}`);
+            lines.push(`Title${number}=${track.artist} - ${track.title}`);
+            lines.push(`Length${number}=${track.duration > 0 ? Math.round(track.duration) : -1}`);
+        });
+
+        lines.push(`NumberOfEntries=${playlist.tracks.length}`, 'Version=2');
+        return lines.join('\n') + '\n';
+    }
+
+    _renderXspf(playlist, locate) {
+        const escape = (value) => this._encodeXml(String(value));
+        const toUri = (location) => /^https?:\/\//i.test(location)
+            ? location
+            : `file:///${encodeURI(location.replace(/\\/g, '/').replace(/^\//, ''))}`;
+
+        const tracks = playlist.tracks.map(track => [
+            '    <track>',
+            `      <location>${escape(toUri(locate(track)))}</location>`,
+            `      <title>${escape(track.title)}</title>`,
+            `      <creator>${escape(track.artist)}</creator>`,
+            `      <album>${escape(track.album)}</album>`,
+            track.track_number ? `      <trackNum>${track.track_number}</trackNum>` : null,
+            track.duration > 0 ? `      <duration>${Math.round(track.duration * 1000)}</duration>` : null,
+            '    </track>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+            `  <title>${escape(playlist.name)}</title>`,
+            '  <trackList>',
+            ...tracks,
+            '  </trackList>',
+            '</playlist>'
+        ].join('\n') + '\n';
+    }
+
+    _encodeXml(value) {
+        return value
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    _decodeXml(value) {
+        return value
+            .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, '$1')
+            .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+            .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    // Plain .m3u files from older players are often Latin-1 rather than UTF-8
+    _readText(filePath) {
+        const buffer = fs.readFileSync(filePath);
+
+        try {
+            return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch (error) {
+            return buffer.toString('latin1');
+        }
+    }
+
+    _validateFormat(format) {
+        if (!FORMATS.includes(format)) {
+            throw new ValidationError(`format must be one of: ${FORMATS.join(', ')}`, 'format');
+        }
+    }
+}
+
+module.exports = PlaylistFileService;
@@ -0,0 +1,263 @@
+/**
+ * Transcoding Service
+ * Converts tracks a Cast device cannot decode with a local ffmpeg, caching the results under data/transcoded
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+
+// Output formats ffmpeg can produce as a stream
+const FORMATS = {
+    mp3: { ext: '.mp3', contentType: 'audio/mpeg', args: ['-c:a', 'libmp3lame', '-b:a', '320k', '-f', 'mp3'] },
+    aac: { ext: '.aac', contentType: 'audio/aac', args: ['-c:a', 'aac', '-b:a', '256k', '-f', 'adts'] },
+    flac: { ext: '.flac', contentType: 'audio/flac', args: ['-c:a', 'flac', '-f', 'flac'] }
+};
+
+// What each kind of Cast device decodes natively, matched on its mDNS or friendly name.
+// target is the format unsupported files are converted to; the last entry is the fallback
+const DEVICE_PROFILES = [
+    {
+        name: 'hi-fi speaker',
+        match: /chromecast[-\s]?audio|nest[-\s]?audio|home[-\s]?max/i,
+        playable: ['.mp3', '.aac', '.m4a', '.flac', '.ogg', '.opus', '.wav', '.webm'],
+        target: 'flac'
+    },
+    {
+        name: 'cast group',
+        match: /cast[-\s]?group/i,
+        playable: ['.mp3', '.aac', '.m4a', '.ogg', '.opus'],
+        target: 'mp3'
+    },
+    {
+        name: 'default',
+        match: /.*/,
+        playable: ['.mp3', '.aac', '.m4a', '.flac', '.ogg', '.opus', '.wav', '.webm'],
+        target: 'mp3'
+    }
+];
+
+class TranscodingService {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger || console;
+
+        this.ffmpegPath = config.transcoding.ffmpegPath;
+        this.cacheDir = path.join(config.getDataDirectory(), 'transcoded');
+        this.cacheMaxBytes = config.transcoding.cacheMaxMb * 1024 * 1024;
+
+        // null until the ffmpeg probe has finished
+        this.available = null;
+        this.probing = null;
+
+        // Running conversions by cache key, resolving to the cached file path
+        this.jobs = new Map();
+    }
+
+    getFormats() {
+        return Object.keys(FORMATS);
+    }
+
+    getContentType(format) {
+        return FORMATS[format].contentType;
+    }
+
+    getExtension(format) {
+        return FORMATS[format].ext;
+    }
+
+    // Check for ffmpeg once, in the background; called at startup so requests never wait for it
+    probe() {
+        if (!this.probing) {
+            this.probing = new Promise(resolve => {
+                const ffmpeg = spawn(this.ffmpegPath, ['-version'], { stdio: 'ignore', timeout: 5000 });
+                ffmpeg.on('error', () => resolve(false));
+                ffmpeg.on('close', code => resolve(code === 0));
+            }).then(available => {
+                this.available = available;
+
+                if (!available) {
+                    this.logger.warn('ffmpeg not found; tracks Chromecast cannot decode will not play', { ffmpegPath: this.ffmpegPath });
+                }
+                return available;
+            });
+        }
+
+        return this.probing;
+    }
+
+    // Until the probe answers, assume ffmpeg is there; a missing binary then fails the conversion itself
+    isAvailable() {
+        if (this.available === null) {
+            this.probe();
+            return true;
+        }
+
+        return this.available;
+    }
+
+    getUnavailableMessage(filePath) {
+        const ext = path.extname(filePath || '').toLowerCase() || 'this';
+        return `Cannot play ${ext} files on Chromecast without transcoding, and ffmpeg was not found ` +
+            `('${this.ffmpegPath}'). Install ffmpeg or set FFMPEG_PATH.`;
+    }
+
+    getProfile(device) {
+        const names = [device?.name, device?.friendlyName].filter(Boolean).join(' ');
+        return DEVICE_PROFILES.find(profile => profile.match.test(names));
+    }
+
+    // Format a track has to be converted to for a device, or null when the device plays the file as is
+    getTargetFormat(filePath, device) {
+        const profile = this.getProfile(device);
+        const ext = path.extname(filePath || '').toLowerCase();
+
+        return profile.playable.includes(ext) ? null : profile.target;
+    }
+
+    isSourceFormat(filePath, format) {
+        return path.extname(filePath || '').toLowerCase() === FORMATS[format].ext;
+    }
+
+    // Path of a finished conversion (waiting for one in progress), or null when none exists
+    async getCachedFile(track, format) {
+        const key = this._cacheKey(track, format);
+
+        if (this.jobs.has(key)) {
+            try {
+                await this.jobs.get(key);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const cachePath = this._cachePath(key, format);
+        if (!fs.existsSync(cachePath)) {
+            return null;
+        }
+
+        // Recently used files survive cache pruning
+        const now = new Date();
+        fs.utimes(cachePath, now, now, () => {});
+        return cachePath;
+    }
+
+    // Start converting a track; returns the live output while the full file is written to the cache.
+    // The conversion keeps running if the reader goes away so the cached copy is completed
+    transcode(track, format) {
+        const key = this._cacheKey(track, format);
+        const cachePath = this._cachePath(key, format);
+        const tempPath = `${cachePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+
+        this.logger.info('Transcoding track', { trackId: track.id, format, file: path.basename(track.filepath) });
+
+        const ffmpeg = spawn(this.ffmpegPath, [
+            '-hide_banner', '-loglevel', 'error',
+            '-i', track.filepath,
+            '-vn',
+            ...FORMATS[format].args,
+            'pipe:1'
+        ], { stdio: ['ignore', 'pipe', 'pipe'] });
+
+        const output = new PassThrough();
+        const file = fs.createWriteStream(tempPath);
+
+        ffmpeg.stdout.pipe(file);
+        ffmpeg.stdout.pipe(output);
+        output.on('close', () => ffmpeg.stdout.unpipe(output));
+
+        let stderr = '';
+        ffmpeg.stderr.on('data', chunk => {
+            stderr = (stderr + chunk).slice(-2000);
+        });
+
+        const job = new Promise((resolve, reject) => {
+            let exitCode = null;
+            let fileClosed = false;
+
+            const settle = () => {
+                if (exitCode === null || !fileClosed) return;
+
+                if (exitCode === 0) {
+                    try {
+                        fs.renameSync(tempPath, cachePath);
+                    } catch (error) {
+                        fs.rm(tempPath, { force: true }, () => {});
+                        reject(error);
+                        return;
+                    }
+                    this._pruneCache();
+                    resolve(cachePath);
+                } else {
+                    fs.rm(tempPath, { force: true }, () => {});
+                    reject(new Error(stderr.trim() || `ffmpeg exited with code ${exitCode}`));
+                }
+            };
+
+            ffmpeg.on('error', error => {
+                this.available = false;
+                output.destroy(error);
+                file.destroy();
+                exitCode = -1;
+                stderr = error.message;
+            });
+            ffmpeg.on('close', code => {
+                exitCode = exitCode === null ? code : exitCode;
+                settle();
+            });
+            file.on('close', () => {
+                fileClosed = true;
+                settle();
+            });
+        });
+
+        this.jobs.set(key, job);
+        job
+            .then(() => this.logger.debug('Transcode cached', { trackId: track.id, format }))
+            .catch(error => this.logger.error('Transcode failed', { trackId: track.id, format, error: error.message }))
+            .finally(() => this.jobs.delete(key));
+
+        return output;
+    }
+
+    // The source's modification time is part of the key, so retagged or replaced files are converted again
+    _cacheKey(track, format) {
+        return crypto.createHash('sha1')
+            .update(`${track.filepath}|${track.last_modified}|${format}`)
+            .digest('hex');
+    }
+
+    _cachePath(key, format) {
+        return path.join(this.cacheDir, `${key}${FORMATS[format].ext}`);
+    }
+
+    // Drop least recently used conversions once the cache is over its size limit
+    _pruneCache() {
+        try {
+            const files = fs.readdirSync(this.cacheDir)
+                .filter(name => !name.endsWith('.tmp'))
+                .map(name => {
+                    const filePath = path.join(this.cacheDir, name);
+                    const stats = fs.statSync(filePath);
+                    return { filePath, size: stats.size, mtime: stats.mtimeMs };
+                })
+                .sort((a, b) => a.mtime - b.mtime);
+
+            let total = files.reduce((sum, file) => sum + file.size, 0);
+            for (const file of files) {
+                if (total <= this.cacheMaxBytes) break;
+                fs.unlinkSync(file.filePath);
+                total -= file.size;
+            }
+
+        } catch (error) {
+            this.logger.warn('Failed to prune transcode cache', { error: error.message });
+        }
+    }
+}
+
+module.exports = TranscodingService;
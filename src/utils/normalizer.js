@@ -0,0 +1,64 @@
+/**
+ * Text Normalization Utilities
+ * Unicode, diacritic and case folding so searches match regardless of accents,
+ * plus phonetic keys so misspelled or spoken names still match
+ */
+
+const { Metaphone } = require('natural');
+
+// Letters that do not decompose into a base letter plus combining marks
+const SPECIAL_FOLDS = {
+    'ß': 'ss',
+    'æ': 'ae',
+    'œ': 'oe',
+    'ø': 'o',
+    'đ': 'd',
+    'ð': 'd',
+    'ł': 'l',
+    'þ': 'th',
+    'ı': 'i'
+};
+
+const SPECIAL_FOLDS_PATTERN = new RegExp(`[${Object.keys(SPECIAL_FOLDS).join('')}]`, 'g');
+
+class Normalizer {
+    static fold(str) {
+        if (typeof str !== 'string') return '';
+
+        return str
+            .normalize('NFKD')
+            .replace(/\p{M}/gu, '')
+            .toLowerCase()
+            .replace(SPECIAL_FOLDS_PATTERN, (char) => SPECIAL_FOLDS[char])
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Fold a nullable column value, keeping NULL for missing values
+    static foldOrNull(str) {
+        const folded = Normalizer.fold(str);
+        return folded.length > 0 ? folded : null;
+    }
+
+    static tokenize(str) {
+        return Normalizer.fold(str).match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Metaphone code per word ("Lou Reid" and "Lou Reed" both give ['L', 'RT'])
+    static phoneticKeys(str) {
+        const keys = [];
+
+        for (const token of Normalizer.tokenize(str)) {
+            if (!/^[a-z]+$/.test(token)) continue;
+
+            const key = Metaphone.process(token);
+            if (key && !keys.includes(key)) {
+                keys.push(key);
+            }
+        }
+
+        return keys;
+    }
+}
+
+module.exports = Normalizer;
@@ -55,6 +55,11 @@ class Validator {
         return this.isInRange(value, 0.0, 1.0, fieldName);
     }
 
+    static isRating(value, fieldName = 'rating') {
+        this.isInteger(value, fieldName);
+        return this.isInRange(value, 0, 5, fieldName);
+    }
+
     static isValidTrackId(trackId) {
         return this.isPositiveInteger(trackId, 'track_id');
     }
@@ -67,10 +72,10 @@ class Validator {
         return true;
     }
 
-    static isValidLimit(limit) {
+    static isValidLimit(limit, max = 1000) {
         this.isPositiveInteger(limit, 'limit');
-        if (limit > 1000) {
-            throw new ValidationError('Limit is too high (max 1000)', 'limit');
+        if (limit > max) {
+            throw new ValidationError(`Limit is too high (max ${max})`, 'limit');
         }
         return true;
     }